@@ -39,10 +39,12 @@ class Ally {
 
         // === COMBAT PROPERTIES ===
         // Copy player's weapon stats but with slower fire rate
-        this.weapon = { ...playerWeapon };
+        // (a beam can't be fired as ally shots - the ally brings a pistol instead)
+        this.weapon = { ...(playerWeapon.beam ? WEAPONS.PISTOL : playerWeapon) };
         this.fireRateMultiplier = 1.3;    // 30% slower than player
         this.shootCooldown = this.weapon.fireRate * 1000 * this.fireRateMultiplier;
-        this.lastShootTime = 0;
+        this.lastShootTime = -Infinity;
+        this.simTime = 0;                 // Simulation clock (ms) for fire cooldowns
 
         // === TARGETING ===
         this.targetSnake = null;          // Current target snake
@@ -66,7 +68,7 @@ class Ally {
         this.glowColor = 'rgba(255, 136, 0, 0.3)';  // Orange glow
 
         // === ANIMATION ===
-        this.pulsePhase = Math.random() * Math.PI * 2;
+        this.pulsePhase = randomRange(0, Math.PI * 2);
         this.muzzleFlashTime = 0;
         this.recoilOffset = 0;
         this.gunLength = 26;
@@ -85,6 +87,7 @@ class Ally {
         let newBullets = null;
 
         // === UPDATE ANIMATIONS ===
+        this.simTime += deltaTime * 1000;
         this.pulsePhase += deltaTime * 4;
         if (this.muzzleFlashTime > 0) {
             this.muzzleFlashTime -= deltaTime;
@@ -256,13 +259,20 @@ class Ally {
         return nearest;
     }
 
+    /**
+     * Speed up firing (Ally Training perk)
+     * @param {number} bonus - Fire rate bonus, e.g. 0.25 for 25% faster
+     */
+    setFireRateBonus(bonus) {
+        this.shootCooldown = this.weapon.fireRate * 1000 * this.fireRateMultiplier / (1 + bonus);
+    }
+
     /**
      * Check if ally can shoot
      * @returns {boolean} True if can shoot
      */
     canShoot() {
-        const now = Date.now();
-        return now - this.lastShootTime >= this.shootCooldown;
+        return this.simTime - this.lastShootTime >= this.shootCooldown;
     }
 
     /**
@@ -271,7 +281,7 @@ class Ally {
      * @returns {Bullet|Bullet[]} New bullet(s)
      */
     shoot() {
-        this.lastShootTime = Date.now();
+        this.lastShootTime = this.simTime;
 
         // Trigger shooting animation
         this.muzzleFlashTime = 0.08;
@@ -296,13 +306,13 @@ class Ally {
             for (let i = 0; i < this.weapon.count; i++) {
                 const angle = startAngle + step * i;
                 // Create bullet with empty modifiers (ally doesn't benefit from player powerups)
-                bullets.push(new Bullet(spawnX, spawnY, angle, this.weapon, {}));
+                bullets.push(bulletPool.acquire(spawnX, spawnY, angle, this.weapon, {}));
             }
             return bullets;
         } else {
             // Single shot with random spread
-            const spread = (Math.random() - 0.5) * (this.weapon.spread || 0);
-            return new Bullet(spawnX, spawnY, this.rotation + spread, this.weapon, {});
+            const spread = randomRange(-0.5, 0.5) * (this.weapon.spread || 0);
+            return bulletPool.acquire(spawnX, spawnY, this.rotation + spread, this.weapon, {});
         }
     }
 
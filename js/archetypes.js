@@ -0,0 +1,416 @@
+/**
+ * SNAKE KILLER - Snake Archetypes
+ * Viper, Python, Spitter and Splitter enemies, plus the factory that
+ * picks and builds them. Stats live in SNAKE_ARCHETYPES (snake.js).
+ */
+
+// Spitter venom - shaped like a weapon config so Bullet can fire it
+const VENOM = {
+    damage: 8,
+    bulletSpeed: 260,
+    bulletSize: 1.3,
+    bulletColor: '#99ff33',
+    glowColor: 'rgba(153, 255, 51, 0.5)'
+};
+
+/**
+ * Viper - fast, fragile, weaves side to side and lunges when close
+ */
+class Viper extends Snake {
+    constructor(canvasWidth, canvasHeight, level, edge = null) {
+        super(canvasWidth, canvasHeight, level, edge, SNAKE_ARCHETYPES.VIPER);
+
+        this.wobbleSpeed = randomRange(6, 9);
+        this.wobbleStrength = 0.9;
+        this.lungeRange = 160;     // Distance at which it lunges
+        this.lungeBoost = 1.6;     // Speed multiplier while lunging
+        this.tonguePhase = 0;
+    }
+
+    update(deltaTime, playerX, playerY) {
+        if (this.frozen) {
+            this.updateHitFlash(deltaTime);
+            return null;
+        }
+
+        const dist = distance(this.x, this.y, playerX, playerY);
+        const lunging = dist < this.lungeRange;
+
+        // Stop weaving and go straight in when lunging
+        this.wobbleStrength = lunging ? 0.1 : 0.9;
+        this.speed = this.baseSpeed * (lunging ? this.lungeBoost : 1);
+        this.tonguePhase += deltaTime * 12;
+
+        return super.update(deltaTime, playerX, playerY);
+    }
+
+    render(ctx) {
+        ctx.save();
+        const colors = this.getColors();
+        this.drawTongue(ctx);
+        this.drawBody(ctx, colors);
+        this.drawStripes(ctx);
+        this.drawEyes(ctx);
+        this.drawHealthBar(ctx);
+        ctx.restore();
+    }
+
+    /**
+     * Draw the flicking forked tongue
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawTongue(ctx) {
+        const flick = Math.max(0, Math.sin(this.tonguePhase));
+        if (flick <= 0) return;
+
+        const angle = this.getFacingAngle();
+        const baseX = this.x + Math.cos(angle) * this.radius;
+        const baseY = this.y + Math.sin(angle) * this.radius;
+        const length = this.radius * 1.2 * flick;
+        const tipX = baseX + Math.cos(angle) * length;
+        const tipY = baseY + Math.sin(angle) * length;
+
+        ctx.strokeStyle = '#ff3355';
+        ctx.lineWidth = 2;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(baseX, baseY);
+        ctx.lineTo(tipX, tipY);
+        ctx.lineTo(tipX + Math.cos(angle - 0.5) * 5, tipY + Math.sin(angle - 0.5) * 5);
+        ctx.moveTo(tipX, tipY);
+        ctx.lineTo(tipX + Math.cos(angle + 0.5) * 5, tipY + Math.sin(angle + 0.5) * 5);
+        ctx.stroke();
+    }
+
+    /**
+     * Draw dark cross-bands along the body
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawStripes(ctx) {
+        if (this.frozen) return;
+
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.45)';
+        ctx.lineWidth = 2;
+        for (let i = 1; i < this.bodySegments.length; i += 2) {
+            const segment = this.bodySegments[i];
+            const prev = this.bodySegments[i - 1];
+            const angle = Math.atan2(prev.y - segment.y, prev.x - segment.x) + Math.PI / 2;
+
+            ctx.beginPath();
+            ctx.moveTo(segment.x + Math.cos(angle) * segment.radius, segment.y + Math.sin(angle) * segment.radius);
+            ctx.lineTo(segment.x - Math.cos(angle) * segment.radius, segment.y - Math.sin(angle) * segment.radius);
+            ctx.stroke();
+        }
+    }
+}
+
+/**
+ * Python - slow, armored, turns wide so it can be outmaneuvered
+ */
+class Python extends Snake {
+    constructor(canvasWidth, canvasHeight, level, edge = null) {
+        super(canvasWidth, canvasHeight, level, edge, SNAKE_ARCHETYPES.PYTHON);
+
+        this.wobbleStrength = 0.1;
+        this.turnRate = 1.2;  // Radians per second
+        this.heading = angleBetween(this.x, this.y, canvasWidth / 2, canvasHeight / 2);
+    }
+
+    update(deltaTime, playerX, playerY) {
+        if (this.frozen) {
+            this.updateHitFlash(deltaTime);
+            return null;
+        }
+
+        this.targetX = playerX;
+        this.targetY = playerY;
+
+        // Turn toward the player, limited by turn rate
+        const desired = angleBetween(this.x, this.y, playerX, playerY);
+        let diff = desired - this.heading;
+        diff = Math.atan2(Math.sin(diff), Math.cos(diff));
+        const maxTurn = this.turnRate * deltaTime;
+        this.heading += clamp(diff, -maxTurn, maxTurn);
+
+        this.vx = Math.cos(this.heading) * this.speed;
+        this.vy = Math.sin(this.heading) * this.speed;
+
+        this.move(deltaTime);
+        this.updateBodySegments();
+        this.updateHitFlash(deltaTime);
+
+        return null;
+    }
+
+    getPalette() {
+        return {
+            body: hslToHex(this.hue, 45, 35),
+            head: hslToHex(this.hue, 50, 42),
+            pattern: hslToHex(this.hue, 35, 22)
+        };
+    }
+
+    render(ctx) {
+        ctx.save();
+        this.drawBody(ctx, this.getColors());
+        this.drawArmorPlates(ctx);
+        this.drawEyes(ctx);
+        this.drawHealthBar(ctx);
+        ctx.restore();
+    }
+
+    /**
+     * Draw armor rings on each segment
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawArmorPlates(ctx) {
+        ctx.strokeStyle = this.frozen ? 'rgba(200, 230, 255, 0.8)' : 'rgba(180, 170, 150, 0.7)';
+        ctx.lineWidth = 3;
+        this.bodySegments.forEach(segment => {
+            ctx.beginPath();
+            ctx.arc(segment.x, segment.y, segment.radius * 0.85, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+    }
+
+    /**
+     * Take damage, less the armor
+     * @param {number} damage - Amount of damage
+     * @param {number} segmentIndex - Body segment that was hit (0 = head)
+     * @param {boolean} overTime - Damage dealt a little every step (frostbite, beams);
+     *   skips the 1-damage floor that keeps single hits from being soaked entirely
+     * @returns {boolean} True if snake died
+     */
+    takeDamage(damage, segmentIndex = 0, overTime = false) {
+        // Armor soaks part of every hit
+        const armored = damage * (1 - this.archetype.armor);
+        return super.takeDamage(overTime ? armored : Math.max(1, armored), segmentIndex);
+    }
+}
+
+/**
+ * Spitter - stops at range, circles slowly and spits venom at the player
+ */
+class Spitter extends Snake {
+    constructor(canvasWidth, canvasHeight, level, edge = null) {
+        super(canvasWidth, canvasHeight, level, edge, SNAKE_ARCHETYPES.SPITTER);
+
+        this.range = this.archetype.range;
+        this.fireRate = this.archetype.fireRate;
+        this.fireTimer = this.fireRate;
+        this.strafeDirection = randomInt(0, 1) === 0 ? -1 : 1;
+        this.aimAngle = 0;
+        this.arenaWidth = canvasWidth;
+        this.arenaHeight = canvasHeight;
+    }
+
+    /**
+     * Check if the whole head is on screen, where it can hold range
+     * @returns {boolean} True inside the arena
+     */
+    isInArena() {
+        const margin = this.radius;
+        return this.x >= margin && this.x <= this.arenaWidth - margin &&
+            this.y >= margin && this.y <= this.arenaHeight - margin;
+    }
+
+    update(deltaTime, playerX, playerY) {
+        if (this.frozen) {
+            this.updateHitFlash(deltaTime);
+            return null;
+        }
+
+        const dist = distance(this.x, this.y, playerX, playerY);
+        this.aimAngle = angleBetween(this.x, this.y, playerX, playerY);
+
+        // Approach like a normal snake until in range and on screen
+        if (dist > this.range || !this.isInArena()) {
+            this.fireTimer = Math.max(this.fireTimer, 0.5);
+            return super.update(deltaTime, playerX, playerY);
+        }
+
+        // Hold range: circle the player, backing off if too close
+        const backOff = dist < this.range * 0.7 ? -0.6 : 0;
+        const strafe = this.strafeDirection * 0.4;
+        const cos = Math.cos(this.aimAngle);
+        const sin = Math.sin(this.aimAngle);
+        this.vx = (cos * backOff - sin * strafe) * this.speed;
+        this.vy = (sin * backOff + cos * strafe) * this.speed;
+
+        this.move(deltaTime);
+
+        // Slide along the edge rather than circle off screen, out of the player's reach
+        this.x = clamp(this.x, this.radius, this.arenaWidth - this.radius);
+        this.y = clamp(this.y, this.radius, this.arenaHeight - this.radius);
+
+        this.updateBodySegments();
+        this.updateHitFlash(deltaTime);
+
+        // Spit
+        this.fireTimer -= deltaTime;
+        if (this.fireTimer <= 0) {
+            this.fireTimer = this.fireRate;
+            return this.spit();
+        }
+
+        return null;
+    }
+
+    /**
+     * Fire a venom glob from the mouth
+     * @returns {Bullet} Venom projectile
+     */
+    spit() {
+        const mouthX = this.x + Math.cos(this.aimAngle) * this.radius;
+        const mouthY = this.y + Math.sin(this.aimAngle) * this.radius;
+        return bulletPool.acquire(mouthX, mouthY, this.aimAngle, VENOM);
+    }
+
+    getFacingAngle() {
+        return this.aimAngle;
+    }
+
+    render(ctx) {
+        ctx.save();
+        this.drawBody(ctx, this.getColors());
+        this.drawVenomSac(ctx);
+        this.drawEyes(ctx);
+        this.drawHealthBar(ctx);
+        ctx.restore();
+    }
+
+    /**
+     * Draw the venom sac on the head, swelling before each spit
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawVenomSac(ctx) {
+        if (this.frozen) return;
+
+        const charge = 1 - clamp(this.fireTimer / this.fireRate, 0, 1);
+        const sacX = this.x - Math.cos(this.aimAngle) * this.radius * 0.3;
+        const sacY = this.y - Math.sin(this.aimAngle) * this.radius * 0.3;
+        const sacRadius = this.radius * (0.3 + charge * 0.35);
+
+        const gradient = ctx.createRadialGradient(sacX, sacY, 0, sacX, sacY, sacRadius * 2);
+        gradient.addColorStop(0, `rgba(153, 255, 51, ${0.4 + charge * 0.5})`);
+        gradient.addColorStop(1, 'transparent');
+
+        ctx.beginPath();
+        ctx.arc(sacX, sacY, sacRadius * 2, 0, Math.PI * 2);
+        ctx.fillStyle = gradient;
+        ctx.fill();
+    }
+}
+
+/**
+ * Splitter - lurches forward in pulses and breaks in two when killed
+ */
+class Splitter extends Snake {
+    constructor(canvasWidth, canvasHeight, level, edge = null) {
+        super(canvasWidth, canvasHeight, level, edge, SNAKE_ARCHETYPES.SPLITTER);
+
+        this.wobbleStrength = 0.15;
+        this.pulsePhase = randomRange(0, Math.PI * 2);
+    }
+
+    update(deltaTime, playerX, playerY) {
+        if (this.frozen) {
+            this.updateHitFlash(deltaTime);
+            return null;
+        }
+
+        // Inchworm movement - speed surges and stalls
+        this.pulsePhase += deltaTime * 4;
+        this.speed = this.baseSpeed * (0.4 + Math.max(0, Math.sin(this.pulsePhase)) * 1.4);
+
+        return super.update(deltaTime, playerX, playerY);
+    }
+
+    render(ctx) {
+        ctx.save();
+        this.drawBody(ctx, this.getColors());
+        this.drawSeam(ctx);
+        this.drawEyes(ctx);
+        this.drawHealthBar(ctx);
+        ctx.restore();
+    }
+
+    /**
+     * Draw the seam line along the body where it will split
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawSeam(ctx) {
+        ctx.strokeStyle = this.frozen ? 'rgba(255, 255, 255, 0.6)' : 'rgba(255, 255, 255, 0.35)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        this.bodySegments.forEach((segment, i) => {
+            if (i === 0) ctx.moveTo(segment.x, segment.y);
+            else ctx.lineTo(segment.x, segment.y);
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    getDeathSpawns(canvasWidth, canvasHeight, level) {
+        const children = [];
+        const count = this.archetype.splitCount;
+        const angle = this.getFacingAngle() + Math.PI / 2;
+
+        for (let i = 0; i < count; i++) {
+            const child = new Snake(canvasWidth, canvasHeight, level, null, SNAKE_ARCHETYPES.SPLITLING);
+            const side = i - (count - 1) / 2;
+            child.placeAt(
+                this.x + Math.cos(angle) * this.radius * side * 1.5,
+                this.y + Math.sin(angle) * this.radius * side * 1.5
+            );
+            children.push(child);
+        }
+
+        return children;
+    }
+}
+
+// Archetype id -> class
+const SNAKE_CLASSES = {
+    common: Snake,
+    viper: Viper,
+    python: Python,
+    spitter: Spitter,
+    splitter: Splitter
+};
+
+/**
+ * Pick a random archetype that is unlocked at a level, weighted by spawn chance
+ * @param {number} level - Current player level
+ * @returns {Object} Entry from SNAKE_ARCHETYPES
+ */
+function pickSnakeArchetype(level) {
+    const options = Object.values(SNAKE_ARCHETYPES)
+        .filter(a => a.weight > 0 && a.minLevel <= level);
+    const totalWeight = options.reduce((sum, a) => sum + a.weight, 0);
+
+    let roll = randomRange(0, totalWeight);
+    for (const archetype of options) {
+        roll -= archetype.weight;
+        if (roll < 0) return archetype;
+    }
+    return options[options.length - 1];
+}
+
+/**
+ * Create a snake of an archetype
+ * @param {string|null} type - Archetype id, or null to pick one for the level.
+ *   An archetype that isn't unlocked at the level yet is picked for it instead.
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @param {number} level - Current player level
+ * @param {number|null} edge - Spawn edge, random if null
+ * @returns {Snake} New snake
+ */
+function createSnake(type, canvasWidth, canvasHeight, level, edge = null) {
+    const forced = Object.values(SNAKE_ARCHETYPES).find(a => a.id === type);
+    const id = forced && forced.minLevel <= level ? forced.id : pickSnakeArchetype(level).id;
+    const SnakeClass = SNAKE_CLASSES[id] || Snake;
+    return new SnakeClass(canvasWidth, canvasHeight, level, edge);
+}
@@ -12,6 +12,7 @@ class AudioManager {
     constructor() {
         this.ctx = null;
         this.enabled = localStorage.getItem('snakeKiller_sound') !== 'false';
+        this.muted = false;    // Temporary silence (e.g. replay fast-forward), not saved
         this.initialized = false;
         this.unlocked = false; // iOS unlock state
 
@@ -101,6 +102,14 @@ class AudioManager {
         return Promise.resolve();
     }
 
+    /**
+     * Silence sounds temporarily without changing the saved setting
+     * @param {boolean} muted - True to silence
+     */
+    setMuted(muted) {
+        this.muted = muted;
+    }
+
     /**
      * Toggle sound on/off
      */
@@ -113,10 +122,10 @@ class AudioManager {
     /**
      * Play a sound effect
      * Ensures context is active before playing (iOS fix)
-     * @param {string} type - 'shoot', 'hit', 'powerup', 'levelup', 'switch'
+     * @param {string} type - 'shoot', 'hit', 'powerup', 'levelup', 'switch', 'bossRoar', 'empty', 'boom', 'dash'
      */
     play(type) {
-        if (!this.enabled || !this.ctx) return;
+        if (!this.enabled || this.muted || !this.ctx) return;
 
         // Check if context is suspended (can happen on iOS after tab switch)
         if (this.ctx.state === 'suspended') {
@@ -159,6 +168,21 @@ class AudioManager {
             case 'allyDespawn':
                 this.allyDespawnSound();
                 break;
+            case 'bossRoar':
+                this.bossRoarSound();
+                break;
+            case 'empty':
+                this.emptyClickSound();
+                break;
+            case 'boom':
+                this.boomSound();
+                break;
+            case 'unlock':
+                this.weaponUnlockSound();
+                break;
+            case 'dash':
+                this.dashSound();
+                break;
         }
     }
 
@@ -230,6 +254,16 @@ class AudioManager {
         this.playTone(659, 0.2, 0.4); // E5
     }
 
+    /**
+     * Weapon unlocked - bright fanfare, after the level-up arpeggio it often follows
+     */
+    weaponUnlockSound() {
+        this.playTone(784, 0.35, 0.12); // G5
+        this.playTone(988, 0.45, 0.12); // B5
+        this.playTone(1175, 0.55, 0.12); // D6
+        this.playTone(1568, 0.65, 0.4); // G6
+    }
+
     playTone(freq, startTime, duration) {
         const osc = this.ctx.createOscillator();
         const gain = this.ctx.createGain();
@@ -272,6 +306,115 @@ class AudioManager {
         osc.stop(this.ctx.currentTime + 0.08);
     }
 
+    /**
+     * Empty gun - dry metallic click
+     */
+    emptyClickSound() {
+        const osc = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+
+        osc.connect(gain);
+        gain.connect(this.ctx.destination);
+
+        osc.type = 'square';
+        // Very short high tick that drops away
+        osc.frequency.setValueAtTime(1800, this.ctx.currentTime);
+        osc.frequency.exponentialRampToValueAtTime(900, this.ctx.currentTime + 0.03);
+
+        gain.gain.setValueAtTime(this.masterVolume * 0.3, this.ctx.currentTime);
+        gain.gain.exponentialRampToValueAtTime(0.01, this.ctx.currentTime + 0.04);
+
+        osc.start();
+        osc.stop(this.ctx.currentTime + 0.04);
+    }
+
+    /**
+     * Dash - short whoosh of noise swept up then down through a band-pass
+     */
+    dashSound() {
+        const now = this.ctx.currentTime;
+        const duration = 0.25;
+
+        const length = Math.floor(this.ctx.sampleRate * duration);
+        const buffer = this.ctx.createBuffer(1, length, this.ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+
+        const noise = this.ctx.createBufferSource();
+        const filter = this.ctx.createBiquadFilter();
+        const gain = this.ctx.createGain();
+        noise.buffer = buffer;
+        noise.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.ctx.destination);
+
+        filter.type = 'bandpass';
+        filter.Q.value = 1.5;
+        filter.frequency.setValueAtTime(400, now);
+        filter.frequency.exponentialRampToValueAtTime(2500, now + duration * 0.4);
+        filter.frequency.exponentialRampToValueAtTime(600, now + duration);
+
+        // Swell in, then trail off
+        gain.gain.setValueAtTime(0.01, now);
+        gain.gain.exponentialRampToValueAtTime(this.masterVolume * 0.6, now + duration * 0.3);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + duration);
+
+        noise.start(now);
+        noise.stop(now + duration);
+    }
+
+    /**
+     * Explosion - burst of filtered noise over a falling sub-bass thump
+     */
+    boomSound() {
+        const now = this.ctx.currentTime;
+        const duration = 0.6;
+
+        // White noise, darkened as it fades
+        const length = Math.floor(this.ctx.sampleRate * duration);
+        const buffer = this.ctx.createBuffer(1, length, this.ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+
+        const noise = this.ctx.createBufferSource();
+        const filter = this.ctx.createBiquadFilter();
+        const noiseGain = this.ctx.createGain();
+        noise.buffer = buffer;
+        noise.connect(filter);
+        filter.connect(noiseGain);
+        noiseGain.connect(this.ctx.destination);
+
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(1200, now);
+        filter.frequency.exponentialRampToValueAtTime(100, now + duration);
+
+        noiseGain.gain.setValueAtTime(this.masterVolume, now);
+        noiseGain.gain.exponentialRampToValueAtTime(0.01, now + duration);
+
+        noise.start(now);
+        noise.stop(now + duration);
+
+        // Thump
+        const thump = this.ctx.createOscillator();
+        const thumpGain = this.ctx.createGain();
+        thump.connect(thumpGain);
+        thumpGain.connect(this.ctx.destination);
+
+        thump.type = 'sine';
+        thump.frequency.setValueAtTime(120, now);
+        thump.frequency.exponentialRampToValueAtTime(30, now + 0.4);
+
+        thumpGain.gain.setValueAtTime(this.masterVolume, now);
+        thumpGain.gain.exponentialRampToValueAtTime(0.01, now + 0.4);
+
+        thump.start(now);
+        thump.stop(now + 0.4);
+    }
+
     /**
      * === NEW: Ally spawn sound - parachute whoosh + landing thud ===
      */
@@ -337,4 +480,41 @@ class AudioManager {
         osc.start();
         osc.stop(this.ctx.currentTime + 0.25);
     }
+
+    /**
+     * Boss arrival roar - low growl sliding down with a rumble underneath
+     */
+    bossRoarSound() {
+        const now = this.ctx.currentTime;
+
+        const growl = this.ctx.createOscillator();
+        const growlGain = this.ctx.createGain();
+        growl.connect(growlGain);
+        growlGain.connect(this.ctx.destination);
+
+        growl.type = 'sawtooth';
+        growl.frequency.setValueAtTime(160, now);
+        growl.frequency.exponentialRampToValueAtTime(55, now + 1.2);
+
+        growlGain.gain.setValueAtTime(0, now);
+        growlGain.gain.linearRampToValueAtTime(this.masterVolume * 0.6, now + 0.15);
+        growlGain.gain.exponentialRampToValueAtTime(0.01, now + 1.2);
+
+        growl.start(now);
+        growl.stop(now + 1.2);
+
+        const rumble = this.ctx.createOscillator();
+        const rumbleGain = this.ctx.createGain();
+        rumble.connect(rumbleGain);
+        rumbleGain.connect(this.ctx.destination);
+
+        rumble.type = 'sine';
+        rumble.frequency.setValueAtTime(45, now);
+
+        rumbleGain.gain.setValueAtTime(this.masterVolume * 0.5, now);
+        rumbleGain.gain.exponentialRampToValueAtTime(0.01, now + 1.4);
+
+        rumble.start(now);
+        rumble.stop(now + 1.4);
+    }
 }
@@ -0,0 +1,381 @@
+/**
+ * SNAKE KILLER - Boss Snake
+ * Long segmented boss that appears every few levels. Each body segment
+ * has its own health, and the boss cycles through charge, coil and
+ * summon attacks, getting faster once it drops below half health.
+ */
+
+const BOSS_CONFIG = {
+    levelInterval: 5,           // A boss arrives every N levels
+    names: ['THE COILED KING', 'ANACONDA PRIME', 'THE HYDRA', 'WORLD SERPENT'],
+    segments: 18,
+    headRadius: 34,
+    tailRadius: 16,
+    segmentHealth: 45,          // Per segment at level 1, scales with level
+    speed: 85,
+    xp: 60,                     // Per boss level tier
+    points: 15,
+    enrageThreshold: 0.5,       // Health fraction that speeds up attacks
+    knockbackScale: 0.15,       // Blasts barely move a boss
+
+    // Attack phases, played in order and repeated
+    phaseOrder: ['chase', 'charge', 'chase', 'coil', 'chase', 'summon'],
+    phases: {
+        chase: { duration: 2.5 },
+        charge: { windup: 0.8, duration: 0.9, speedMultiplier: 4 },
+        coil: { duration: 4, startRadius: 280, endRadius: 140, angularSpeed: 1.6 },
+        summon: { duration: 1.5, castAt: 0.5, minions: 3 }
+    }
+};
+
+class BossSnake extends Snake {
+    /**
+     * Create a boss snake
+     * @param {number} canvasWidth - Canvas width
+     * @param {number} canvasHeight - Canvas height
+     * @param {number} level - Level the boss appears on
+     */
+    constructor(canvasWidth, canvasHeight, level) {
+        super(canvasWidth, canvasHeight, level, SPAWN_EDGES.top);
+
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        this.level = level;
+        this.isBoss = true;
+
+        // Boss number (1st, 2nd...) picks the name and scales rewards
+        this.tier = Math.max(1, Math.floor(level / BOSS_CONFIG.levelInterval));
+        this.name = BOSS_CONFIG.names[(this.tier - 1) % BOSS_CONFIG.names.length];
+
+        // Enter from the top center
+        this.x = canvasWidth / 2;
+        this.y = -BOSS_CONFIG.headRadius * 2;
+        this.radius = BOSS_CONFIG.headRadius;
+        this.speed = BOSS_CONFIG.speed * (1 + (level - 1) * 0.03);
+        this.baseSpeed = this.speed;
+        this.hue = 0;
+        this.wobbleStrength = 0.15;
+        this.knockbackScale = BOSS_CONFIG.knockbackScale;
+
+        // Segmented body - every segment has its own health
+        const segmentHealth = Math.floor(BOSS_CONFIG.segmentHealth * (1 + (level - 1) * 0.2));
+        this.bodySegments = [];
+        for (let i = 0; i < BOSS_CONFIG.segments; i++) {
+            const t = i / (BOSS_CONFIG.segments - 1);
+            this.bodySegments.push({
+                x: this.x,
+                y: this.y,
+                radius: lerp(BOSS_CONFIG.headRadius, BOSS_CONFIG.tailRadius, t),
+                health: segmentHealth,
+                maxHealth: segmentHealth,
+                hitFlash: 0
+            });
+        }
+        this.maxHealth = segmentHealth * BOSS_CONFIG.segments;
+        this.health = this.maxHealth;
+
+        // Rewards
+        this.xpValue = BOSS_CONFIG.xp * this.tier;
+        this.pointsValue = BOSS_CONFIG.points;
+
+        // Phase state
+        this.entering = true;
+        this.phaseIndex = 0;
+        this.phase = BOSS_CONFIG.phaseOrder[0];
+        this.phaseTime = 0;
+        this.chargeAngle = 0;
+        this.coilAngle = 0;
+        this.phaseStarted = false;   // Set once a phase has run its one-off setup
+
+        // Minions waiting to be added to the game
+        this.pendingMinions = [];
+    }
+
+    /**
+     * Check if the boss is below its enrage threshold
+     * @returns {boolean} True when enraged
+     */
+    isEnraged() {
+        return this.health / this.maxHealth < BOSS_CONFIG.enrageThreshold;
+    }
+
+    /**
+     * Move to the next attack phase
+     */
+    nextPhase() {
+        this.phaseIndex = (this.phaseIndex + 1) % BOSS_CONFIG.phaseOrder.length;
+        this.phase = BOSS_CONFIG.phaseOrder[this.phaseIndex];
+        this.phaseTime = 0;
+        this.phaseStarted = false;
+    }
+
+    /**
+     * Update boss movement and attacks
+     * @param {number} deltaTime - Time since last frame
+     * @param {number} playerX - Player X position
+     * @param {number} playerY - Player Y position
+     * @returns {null} Bosses don't fire projectiles
+     */
+    update(deltaTime, playerX, playerY) {
+        this.bodySegments.forEach(segment => {
+            if (segment.hitFlash > 0) segment.hitFlash -= deltaTime * 5;
+        });
+        this.updateHitFlash(deltaTime);
+
+        if (this.frozen) return null;
+
+        // Slither onto the screen before attacking
+        if (this.entering) {
+            this.vx = 0;
+            this.vy = this.speed;
+            this.move(deltaTime);
+            this.updateBodySegments();
+            if (this.y >= this.canvasHeight * 0.2) {
+                this.entering = false;
+            }
+            return null;
+        }
+
+        // Enraged bosses run their attacks faster
+        const tempo = this.isEnraged() ? 1.5 : 1;
+        this.phaseTime += deltaTime * tempo;
+
+        switch (this.phase) {
+            case 'chase':
+                this.updateChase(deltaTime * tempo, playerX, playerY);
+                break;
+            case 'charge':
+                this.updateCharge(deltaTime * tempo, playerX, playerY);
+                break;
+            case 'coil':
+                this.updateCoil(deltaTime * tempo, playerX, playerY);
+                break;
+            case 'summon':
+                this.updateSummon();
+                break;
+        }
+
+        // Keep the head on screen
+        const margin = this.radius;
+        this.x = clamp(this.x, margin, this.canvasWidth - margin);
+        this.y = clamp(this.y, margin, this.canvasHeight - margin);
+
+        this.updateBodySegments();
+        return null;
+    }
+
+    /**
+     * Chase phase - slither toward the player
+     */
+    updateChase(deltaTime, playerX, playerY) {
+        const dir = normalize(playerX - this.x, playerY - this.y);
+        this.vx = dir.x * this.speed;
+        this.vy = dir.y * this.speed;
+        this.move(deltaTime);
+
+        if (this.phaseTime >= BOSS_CONFIG.phases.chase.duration) {
+            this.nextPhase();
+        }
+    }
+
+    /**
+     * Charge phase - wind up aimed at the player, then dash in a straight line
+     */
+    updateCharge(deltaTime, playerX, playerY) {
+        const config = BOSS_CONFIG.phases.charge;
+
+        if (this.phaseTime < config.windup) {
+            // Track the player while winding up
+            this.chargeAngle = angleBetween(this.x, this.y, playerX, playerY);
+            this.vx = Math.cos(this.chargeAngle) * 0.01;
+            this.vy = Math.sin(this.chargeAngle) * 0.01;
+            return;
+        }
+
+        const speed = this.speed * config.speedMultiplier;
+        this.vx = Math.cos(this.chargeAngle) * speed;
+        this.vy = Math.sin(this.chargeAngle) * speed;
+        this.x += this.vx * deltaTime;
+        this.y += this.vy * deltaTime;
+
+        if (this.phaseTime >= config.windup + config.duration) {
+            this.nextPhase();
+        }
+    }
+
+    /**
+     * Coil phase - circle the player on a tightening ring
+     */
+    updateCoil(deltaTime, playerX, playerY) {
+        const config = BOSS_CONFIG.phases.coil;
+        const progress = clamp(this.phaseTime / config.duration, 0, 1);
+
+        if (!this.phaseStarted) {
+            // Start the ring where the boss already is
+            this.phaseStarted = true;
+            this.coilAngle = angleBetween(playerX, playerY, this.x, this.y);
+        }
+        this.coilAngle += config.angularSpeed * deltaTime;
+
+        const ringRadius = lerp(config.startRadius, config.endRadius, progress);
+        const targetX = playerX + Math.cos(this.coilAngle) * ringRadius;
+        const targetY = playerY + Math.sin(this.coilAngle) * ringRadius;
+
+        const dir = normalize(targetX - this.x, targetY - this.y);
+        this.vx = dir.x * this.speed * 2;
+        this.vy = dir.y * this.speed * 2;
+        this.x += this.vx * deltaTime;
+        this.y += this.vy * deltaTime;
+
+        if (this.phaseTime >= config.duration) {
+            this.nextPhase();
+        }
+    }
+
+    /**
+     * Summon phase - rear up and call minions from the tail
+     */
+    updateSummon() {
+        const config = BOSS_CONFIG.phases.summon;
+
+        if (!this.phaseStarted && this.phaseTime >= config.castAt) {
+            this.phaseStarted = true;
+            const tail = this.bodySegments[this.bodySegments.length - 1];
+
+            for (let i = 0; i < config.minions; i++) {
+                const type = i % 2 === 0 ? 'viper' : 'common';
+                const minion = createSnake(type, this.canvasWidth, this.canvasHeight, this.level);
+                const angle = (i / config.minions) * Math.PI * 2;
+                minion.placeAt(
+                    clamp(tail.x + Math.cos(angle) * 40, 0, this.canvasWidth),
+                    clamp(tail.y + Math.sin(angle) * 40, 0, this.canvasHeight)
+                );
+                this.pendingMinions.push(minion);
+            }
+        }
+
+        if (this.phaseTime >= config.duration) {
+            this.nextPhase();
+        }
+    }
+
+    /**
+     * Damage a single segment
+     * @param {number} damage - Amount of damage
+     * @param {number} segmentIndex - Segment that was hit
+     * @returns {boolean} True if the boss died
+     */
+    takeDamage(damage, segmentIndex = 0) {
+        const segment = this.bodySegments[segmentIndex];
+        if (!segment || segment.health <= 0) return false;
+
+        const dealt = Math.min(damage, segment.health);
+        segment.health -= dealt;
+        segment.hitFlash = 1;
+        this.health -= dealt;
+
+        // Fractional damage (perks) can leave rounding dust in the total,
+        // so the boss also dies once its last segment is gone
+        const destroyed = segment.health <= 0 && this.bodySegments.every(s => s.health <= 0);
+        if (this.health <= 0 || destroyed) {
+            this.health = 0;
+            this.active = false;
+            return true;
+        }
+        return false;
+    }
+
+    getContactDamage() {
+        return this.phase === 'charge' ? 30 : 18;
+    }
+
+    render(ctx) {
+        ctx.save();
+
+        const windingUp = this.phase === 'charge' &&
+            this.phaseTime < BOSS_CONFIG.phases.charge.windup;
+
+        // Menacing aura, red while winding up a charge
+        const head = this.bodySegments[0];
+        const auraRadius = this.radius * (windingUp ? 3 : 2.2);
+        const aura = ctx.createRadialGradient(head.x, head.y, 0, head.x, head.y, auraRadius);
+        aura.addColorStop(0, windingUp ? 'rgba(255, 40, 40, 0.5)' : 'rgba(170, 0, 255, 0.3)');
+        aura.addColorStop(1, 'transparent');
+        ctx.beginPath();
+        ctx.arc(head.x, head.y, auraRadius, 0, Math.PI * 2);
+        ctx.fillStyle = aura;
+        ctx.fill();
+
+        // Body, tail first
+        const enraged = this.isEnraged();
+        for (let i = this.bodySegments.length - 1; i >= 0; i--) {
+            const segment = this.bodySegments[i];
+            const broken = segment.health <= 0;
+
+            let fill;
+            if (broken) {
+                fill = 'rgba(60, 50, 60, 0.8)';
+            } else if (this.frozen) {
+                fill = 'rgba(100, 180, 255, 0.9)';
+            } else if (segment.hitFlash > 0) {
+                fill = `rgba(255, 255, 255, ${Math.min(1, segment.hitFlash)})`;
+            } else {
+                fill = hslToHex(enraged ? 350 : 275, 70, i === 0 ? 45 : 35 + (i % 2) * 6);
+            }
+
+            ctx.beginPath();
+            ctx.arc(segment.x, segment.y, segment.radius, 0, Math.PI * 2);
+            ctx.fillStyle = fill;
+            ctx.fill();
+
+            // Segment health ring
+            if (!broken && segment.health < segment.maxHealth) {
+                ctx.beginPath();
+                ctx.arc(segment.x, segment.y, segment.radius * 0.7,
+                    -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * (segment.health / segment.maxHealth));
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+                ctx.lineWidth = 3;
+                ctx.stroke();
+            }
+
+            // Spines along the back
+            if (!broken && i > 0 && i % 2 === 1) {
+                ctx.beginPath();
+                ctx.arc(segment.x, segment.y, segment.radius * 0.3, 0, Math.PI * 2);
+                ctx.fillStyle = enraged ? '#ffcc00' : '#cc88ff';
+                ctx.fill();
+            }
+        }
+
+        this.drawHorns(ctx);
+        this.drawEyes(ctx);
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw horns on the head
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawHorns(ctx) {
+        const head = this.bodySegments[0];
+        const angle = this.getFacingAngle();
+
+        ctx.fillStyle = '#f0e0c0';
+        [-1, 1].forEach(side => {
+            const baseAngle = angle + Math.PI + side * 0.9;
+            const baseX = head.x + Math.cos(baseAngle) * this.radius * 0.8;
+            const baseY = head.y + Math.sin(baseAngle) * this.radius * 0.8;
+            const tipAngle = angle + Math.PI + side * 0.5;
+            const tipX = head.x + Math.cos(tipAngle) * this.radius * 1.8;
+            const tipY = head.y + Math.sin(tipAngle) * this.radius * 1.8;
+
+            ctx.beginPath();
+            ctx.moveTo(baseX + Math.cos(angle) * 6, baseY + Math.sin(angle) * 6);
+            ctx.lineTo(tipX, tipY);
+            ctx.lineTo(baseX - Math.cos(angle) * 6, baseY - Math.sin(angle) * 6);
+            ctx.closePath();
+            ctx.fill();
+        });
+    }
+}
@@ -1,6 +1,7 @@
 /**
  * SNAKE KILLER - Bullet Class
  * Handles bullet creation, movement, and rendering
+ * Bullets are recycled through the shared bulletPool
  */
 
 class Bullet {
@@ -11,10 +12,33 @@ class Bullet {
      * @param {number} angle - Direction angle in radians
      * @param {Object} weapon - Weapon configuration
      * @param {Object} modifiers - Power-up modifiers
+     * @param {Object} perks - Shooter's perks (perk id -> stacks)
      */
-    constructor(x, y, angle, weapon, modifiers = {}) {
+    constructor(x, y, angle, weapon, modifiers = {}, perks = {}) {
+        // Trail ring buffer - allocated once and reused across resets
+        this.maxTrailLength = 8;
+        this.trail = [];
+        for (let i = 0; i < this.maxTrailLength; i++) {
+            this.trail.push({ x: 0, y: 0 });
+        }
+
+        this.reset(x, y, angle, weapon, modifiers, perks);
+    }
+
+    /**
+     * (Re)initialize the bullet for a new shot
+     * @param {number} x - Starting X position
+     * @param {number} y - Starting Y position
+     * @param {number} angle - Direction angle in radians
+     * @param {Object} weapon - Weapon configuration
+     * @param {Object} modifiers - Power-up modifiers
+     * @param {Object} perks - Shooter's perks (perk id -> stacks)
+     */
+    reset(x, y, angle, weapon, modifiers = {}, perks = {}) {
         this.x = x;
         this.y = y;
+        this.prevX = x;     // Position before the last simulation step
+        this.prevY = y;
         this.angle = angle;
 
         // Apply weapon stats and modifiers
@@ -31,6 +55,21 @@ class Bullet {
         this.radius = Math.max(2, w.bulletSize * GAME_CONSTANTS.BULLET_RADIUS * (modifiers.wideShot ? 1.5 : 1));
         this.speed = w.bulletSpeed * speedMult;
         this.damage = w.damage * (modifiers.wideShot ? 1.5 : 1);
+        this.damage *= 1 + (perks[PERKS.HEAVY_ROUNDS.id] || 0) * PERKS.HEAVY_ROUNDS.value;
+
+        // Piercing rounds pass through extra snakes
+        this.pierce = (w.pierce || 0) + (perks[PERKS.PIERCING_ROUNDS.id] || 0) * PERKS.PIERCING_ROUNDS.value;
+        this.lastHit = null;   // Snake hit most recently (not hit again while overlapping)
+
+        // Explosive shells burst on impact or at max range; the simulation
+        // sees detonated and deals the blast
+        this.explosive = w.explosive || null;
+        this.traveled = 0;
+        this.detonated = false;
+
+        // Seekers turn toward snakes; ricochet rounds bounce off the edges
+        this.homing = w.homing || 0;
+        this.ricochet = w.ricochet || 0;
 
         // Calculate velocity components
         this.vx = Math.cos(angle) * this.speed;
@@ -38,9 +77,9 @@ class Bullet {
 
         // Visual properties
         this.color = w.bulletColor || GAME_CONSTANTS.COLORS.BULLET;
-        this.glowColor = GAME_CONSTANTS.COLORS.BULLET_GLOW;
-        this.trail = []; // Store previous positions for trail effect
-        this.maxTrailLength = 8;
+        this.glowColor = w.glowColor || GAME_CONSTANTS.COLORS.BULLET_GLOW;
+        this.trailHead = 0;    // Index of the newest trail point
+        this.trailLength = 0;  // Number of trail points in use
 
         // State
         this.active = true;
@@ -53,15 +92,29 @@ class Bullet {
      * @param {number} canvasHeight - Canvas height for bounds checking
      */
     update(deltaTime, canvasWidth, canvasHeight) {
-        // Store current position in trail
-        this.trail.unshift({ x: this.x, y: this.y });
-        if (this.trail.length > this.maxTrailLength) {
-            this.trail.pop();
+        // Store current position in trail (overwrites the oldest point)
+        this.trailHead = (this.trailHead + 1) % this.maxTrailLength;
+        const point = this.trail[this.trailHead];
+        point.x = this.x;
+        point.y = this.y;
+        if (this.trailLength < this.maxTrailLength) {
+            this.trailLength++;
         }
 
         // Update position
         this.x += this.vx * deltaTime;
         this.y += this.vy * deltaTime;
+        this.traveled += this.speed * deltaTime;
+
+        if (this.explosive && this.traveled >= this.explosive.range) {
+            this.detonate();
+            return;
+        }
+
+        // Bounce off the arena edges while ricochets are left
+        if (this.ricochet > 0) {
+            this.bounce(canvasWidth, canvasHeight);
+        }
 
         // Check if bullet is out of bounds
         const margin = this.radius * 2;
@@ -71,6 +124,73 @@ class Bullet {
         }
     }
 
+    /**
+     * Reflect off an arena edge the bullet has crossed, spending a ricochet
+     * @param {number} canvasWidth - Canvas width
+     * @param {number} canvasHeight - Canvas height
+     */
+    bounce(canvasWidth, canvasHeight) {
+        let bounced = false;
+        const maxX = canvasWidth - this.radius;
+        const maxY = canvasHeight - this.radius;
+
+        // Mirror the overshoot back inside as well as the velocity
+        if (this.x < this.radius && this.vx < 0) {
+            this.x = 2 * this.radius - this.x;
+            this.vx = -this.vx;
+            bounced = true;
+        } else if (this.x > maxX && this.vx > 0) {
+            this.x = 2 * maxX - this.x;
+            this.vx = -this.vx;
+            bounced = true;
+        }
+        if (this.y < this.radius && this.vy < 0) {
+            this.y = 2 * this.radius - this.y;
+            this.vy = -this.vy;
+            bounced = true;
+        } else if (this.y > maxY && this.vy > 0) {
+            this.y = 2 * maxY - this.y;
+            this.vy = -this.vy;
+            bounced = true;
+        }
+
+        if (bounced) {
+            this.ricochet--;
+            this.angle = Math.atan2(this.vy, this.vx);
+            this.lastHit = null;    // A snake it passed can be hit again on the way back
+        }
+    }
+
+    /**
+     * Steer a homing bullet toward the nearest snake, up to its turn rate
+     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {Snake[]} snakes - Possible targets
+     */
+    steer(deltaTime, snakes) {
+        let target = null;
+        let best = Infinity;
+
+        snakes.forEach(snake => {
+            if (!snake.active || snake === this.lastHit) return;
+            const d = distance(this.x, this.y, snake.x, snake.y);
+            if (d < best) {
+                best = d;
+                target = snake;
+            }
+        });
+        if (!target) return;
+
+        // Turn the short way round, no faster than the turn rate
+        const wanted = angleBetween(this.x, this.y, target.x, target.y);
+        let turn = wanted - this.angle;
+        turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+        const maxTurn = this.homing * deltaTime;
+        this.angle += clamp(turn, -maxTurn, maxTurn);
+
+        this.vx = Math.cos(this.angle) * this.speed;
+        this.vy = Math.sin(this.angle) * this.speed;
+    }
+
     /**
      * Render the bullet
      * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -78,10 +198,10 @@ class Bullet {
     render(ctx) {
         ctx.save();
 
-        // Draw trail
-        for (let i = 0; i < this.trail.length; i++) {
-            const point = this.trail[i];
-            const alpha = 1 - (i / this.trail.length);
+        // Draw trail, newest point first
+        for (let i = 0; i < this.trailLength; i++) {
+            const point = this.getTrailPoint(i);
+            const alpha = 1 - (i / this.trailLength);
             const size = this.radius * (1 - i * 0.1);
 
             ctx.beginPath();
@@ -119,6 +239,15 @@ class Bullet {
         ctx.restore();
     }
 
+    /**
+     * Get a trail point by age
+     * @param {number} i - 0 for the newest point, trailLength - 1 for the oldest
+     * @returns {Object} Trail point {x, y}
+     */
+    getTrailPoint(i) {
+        return this.trail[(this.trailHead - i + this.maxTrailLength) % this.maxTrailLength];
+    }
+
     /**
      * Get collision bounds
      * @returns {Object} Circle collision data
@@ -137,4 +266,123 @@ class Bullet {
     destroy() {
         this.active = false;
     }
+
+    /**
+     * Blow up an explosive shell where it is
+     */
+    detonate() {
+        this.detonated = true;
+        this.destroy();
+    }
+
+    /**
+     * Register a hit - spends the bullet unless it can pierce
+     * (explosive shells always burst)
+     * @param {Object} target - Snake that was hit
+     */
+    hit(target) {
+        this.lastHit = target;
+        if (this.explosive) {
+            this.detonate();
+        } else if (this.pierce > 0) {
+            this.pierce--;
+        } else {
+            this.destroy();
+        }
+    }
 }
+
+/**
+ * BulletPool class
+ * Hands out recycled Bullet objects so firing doesn't allocate every shot.
+ * Player, ally and enemy projectiles all draw from the shared bulletPool.
+ */
+class BulletPool {
+    /**
+     * Create a pool
+     * @param {number} initialSize - Bullets to allocate up front
+     */
+    constructor(initialSize = 64) {
+        this.free = [];
+        this.created = 0;  // Total bullets ever allocated
+
+        for (let i = 0; i < initialSize; i++) {
+            this.free.push(this.createBullet());
+        }
+    }
+
+    /**
+     * Allocate a fresh (inactive) bullet for the pool
+     * @returns {Bullet} New bullet
+     */
+    createBullet() {
+        this.created++;
+        const bullet = new Bullet(0, 0, 0, null);
+        bullet.active = false;
+        return bullet;
+    }
+
+    /**
+     * Take a bullet from the pool and fire it
+     * @param {number} x - Starting X position
+     * @param {number} y - Starting Y position
+     * @param {number} angle - Direction angle in radians
+     * @param {Object} weapon - Weapon configuration
+     * @param {Object} modifiers - Power-up modifiers
+     * @param {Object} perks - Shooter's perks (perk id -> stacks)
+     * @returns {Bullet} Active bullet
+     */
+    acquire(x, y, angle, weapon, modifiers = {}, perks = {}) {
+        const bullet = this.free.length > 0 ? this.free.pop() : this.createBullet();
+        bullet.reset(x, y, angle, weapon, modifiers, perks);
+        return bullet;
+    }
+
+    /**
+     * Return a bullet to the pool
+     * @param {Bullet} bullet - Bullet that is no longer in play
+     */
+    release(bullet) {
+        bullet.active = false;
+        this.free.push(bullet);
+    }
+
+    /**
+     * Remove inactive bullets from a list in place and return them to the pool
+     * @param {Bullet[]} bullets - Bullets in play
+     * @returns {Bullet[]} The same list, holding only active bullets
+     */
+    releaseInactive(bullets) {
+        let kept = 0;
+        for (let i = 0; i < bullets.length; i++) {
+            const bullet = bullets[i];
+            if (bullet.active) {
+                bullets[kept++] = bullet;
+            } else {
+                this.release(bullet);
+            }
+        }
+        bullets.length = kept;
+        return bullets;
+    }
+
+    /**
+     * Return every bullet in a list to the pool and empty it
+     * @param {Bullet[]} bullets - Bullets in play
+     */
+    releaseAll(bullets) {
+        bullets.forEach(bullet => this.release(bullet));
+        bullets.length = 0;
+    }
+
+    /**
+     * Number of bullets waiting to be reused
+     * @returns {number} Free bullet count
+     */
+    getFreeCount() {
+        return this.free.length;
+    }
+}
+
+// Shared pool for every projectile in the game
+const bulletPool = new BulletPool();
@@ -0,0 +1,430 @@
+/**
+ * SNAKE KILLER - Controls
+ * Keyboard and mouse bindings for each control action, saved in localStorage,
+ * and the screen for changing them. Keys are KeyboardEvent.code values and
+ * mouse buttons are 'Mouse0' (left), 'Mouse1' (middle) and 'Mouse2' (right).
+ * Game looks up the action for each key and plays it; the controller layout
+ * in gamepad.js is fixed.
+ *
+ * Every action has CONTROLS_CONFIG.slots keys, and a key belongs to one
+ * action at most.
+ */
+
+const CONTROLS_CONFIG = {
+    slots: 2,                                       // Keys per action
+    packKeys: ['KeyZ', 'KeyX', 'KeyC', 'KeyV'],     // Defaults, in POWER_PACKS order
+    storageKey: 'snakeKiller_bindings'
+};
+
+// Actions in settings-screen order, with their default keys.
+// Weapon and power-pack actions are named 'weapon:<id>' and 'pack:<id>'.
+const CONTROL_ACTIONS = [
+    { id: 'up', label: 'Move up', keys: ['KeyW', 'ArrowUp'] },
+    { id: 'down', label: 'Move down', keys: ['KeyS', 'ArrowDown'] },
+    { id: 'left', label: 'Move left', keys: ['KeyA', 'ArrowLeft'] },
+    { id: 'right', label: 'Move right', keys: ['KeyD', 'ArrowRight'] },
+    { id: 'dash', label: 'Dash', keys: ['ShiftLeft', 'ShiftRight'] },
+    { id: 'fire', label: 'Fire', keys: ['Mouse0'] },
+    { id: 'reload', label: 'Reload', keys: ['KeyR'] },
+    { id: 'prevWeapon', label: 'Previous weapon', keys: ['KeyQ'] },
+    { id: 'nextWeapon', label: 'Next weapon', keys: ['KeyE'] },
+    ...Object.values(WEAPONS).map((weapon, i) => ({
+        id: `weapon:${weapon.id}`,
+        label: `${weapon.icon} ${weapon.name}`,
+        keys: i < 9 ? [`Digit${i + 1}`] : []
+    })),
+    ...Object.values(POWER_PACKS).map((pack, i) => ({
+        id: `pack:${pack.id}`,
+        label: `${pack.icon} ${pack.name}`,
+        keys: CONTROLS_CONFIG.packKeys[i] ? [CONTROLS_CONFIG.packKeys[i]] : []
+    })),
+    { id: 'shop', label: 'Shop', keys: ['KeyB'] },
+    { id: 'pause', label: 'Pause', keys: ['Escape', 'KeyP'] },
+    { id: 'restart', label: 'Restart (game over)', keys: ['Space'] }
+];
+
+// Lines of the main-menu controls panel
+const CONTROL_SUMMARY = [
+    { actions: ['up', 'left', 'down', 'right'], text: 'Move' },
+    { actions: ['dash'], text: 'Dash (or double-tap a move key)' },
+    { actions: ['fire'], text: 'Shoot at cursor' },
+    { actions: CONTROL_ACTIONS.filter(a => a.id.startsWith('weapon:')).map(a => a.id),
+        text: 'Switch weapon (click a locked one to buy it)' },
+    { actions: ['prevWeapon', 'nextWeapon'], text: 'Cycle weapons' },
+    { actions: ['reload'], text: 'Reload' },
+    { actions: CONTROL_ACTIONS.filter(a => a.id.startsWith('pack:')).map(a => a.id),
+        text: 'Power packs' },
+    { actions: ['pause'], text: 'Pause' },
+    { actions: ['shop'], text: 'Shop (between waves)' },
+    { actions: ['restart'], text: 'Restart (when dead)' }
+];
+
+// Display names for keys that don't read well as their code
+const KEY_LABELS = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Escape: 'Esc',
+    Space: 'Space',
+    Mouse0: 'Click',
+    Mouse1: 'Middle',
+    Mouse2: 'R-Click'
+};
+
+/**
+ * ControlBindings class
+ * Loads, looks up and saves the key for every control action
+ */
+class ControlBindings {
+    constructor() {
+        this.bindings = this.load();
+        this.lookup = {};       // Key -> action ID
+        this.rebuildLookup();
+    }
+
+    /**
+     * Saved bindings, with defaults for actions that have none saved
+     * @returns {Object} Action ID -> keys (null for an empty slot)
+     */
+    load() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(CONTROLS_CONFIG.storageKey)) || {};
+        } catch (e) {
+            saved = {};
+        }
+
+        const bindings = {};
+        CONTROL_ACTIONS.forEach(action => {
+            const keys = Array.isArray(saved[action.id]) ? saved[action.id] : action.keys;
+            bindings[action.id] = ControlBindings.fillSlots(keys);
+        });
+        return bindings;
+    }
+
+    /**
+     * Write the bindings back to storage
+     */
+    save() {
+        localStorage.setItem(CONTROLS_CONFIG.storageKey, JSON.stringify(this.bindings));
+    }
+
+    /**
+     * Rebuild the key -> action lookup after a change
+     */
+    rebuildLookup() {
+        this.lookup = {};
+        Object.entries(this.bindings).forEach(([actionId, keys]) => {
+            keys.forEach(key => {
+                if (key && !this.lookup[key]) this.lookup[key] = actionId;
+            });
+        });
+    }
+
+    /**
+     * Action bound to a key
+     * @param {string} key - KeyboardEvent.code or 'Mouse<button>'
+     * @returns {string|null} Action ID
+     */
+    getAction(key) {
+        return this.lookup[key] || null;
+    }
+
+    /**
+     * Keys bound to an action
+     * @param {string} actionId - Action ID
+     * @returns {Array} Keys, null for an empty slot
+     */
+    getKeys(actionId) {
+        return this.bindings[actionId] || [];
+    }
+
+    /**
+     * Display name of an action's first key
+     * @param {string} actionId - Action ID
+     * @returns {string} Key label, or '' if unbound
+     */
+    getLabel(actionId) {
+        const key = this.getKeys(actionId).find(k => k);
+        return key ? ControlBindings.keyLabel(key) : '';
+    }
+
+    /**
+     * Find another action already using a key
+     * @param {string} key - Key to check
+     * @param {string} actionId - Action the key is meant for
+     * @returns {string|null} ID of the other action
+     */
+    findConflict(key, actionId) {
+        const owner = this.getAction(key);
+        return owner && owner !== actionId ? owner : null;
+    }
+
+    /**
+     * Bind a key to an action slot, taking it away from wherever else it was
+     * @param {string} actionId - Action ID
+     * @param {number} slot - Slot index
+     * @param {string} key - Key to bind
+     */
+    bind(actionId, slot, key) {
+        Object.values(this.bindings).forEach(keys => {
+            keys.forEach((k, i) => {
+                if (k === key) keys[i] = null;
+            });
+        });
+        this.bindings[actionId][slot] = key;
+        this.save();
+        this.rebuildLookup();
+    }
+
+    /**
+     * Empty an action slot
+     * @param {string} actionId - Action ID
+     * @param {number} slot - Slot index
+     */
+    clear(actionId, slot) {
+        this.bindings[actionId][slot] = null;
+        this.save();
+        this.rebuildLookup();
+    }
+
+    /**
+     * Go back to the default keys
+     */
+    resetDefaults() {
+        CONTROL_ACTIONS.forEach(action => {
+            this.bindings[action.id] = ControlBindings.fillSlots(action.keys);
+        });
+        this.save();
+        this.rebuildLookup();
+    }
+
+    /**
+     * Pad or trim a key list to the slot count
+     * @param {Array} keys - Keys
+     * @returns {Array} Exactly CONTROLS_CONFIG.slots keys, null for empty slots
+     */
+    static fillSlots(keys) {
+        return Array.from({ length: CONTROLS_CONFIG.slots },
+            (_, i) => typeof keys[i] === 'string' ? keys[i] : null);
+    }
+
+    /**
+     * Readable name for a key
+     * @param {string} key - KeyboardEvent.code or 'Mouse<button>'
+     * @returns {string} Label, e.g. 'W', '1', '↑' or 'Click'
+     */
+    static keyLabel(key) {
+        if (KEY_LABELS[key]) return KEY_LABELS[key];
+        if (/^Key[A-Z]$/.test(key)) return key.slice(3);
+        if (/^Digit\d$/.test(key)) return key.slice(5);
+        if (/^Mouse\d$/.test(key)) return `Mouse ${Number(key.slice(5)) + 1}`;
+        return key.replace(/^(.+?)(Left|Right)$/, '$2-$1').replace('Numpad', 'Num ');
+    }
+}
+
+/**
+ * ControlsView class
+ * The rebinding screen, and the controls panel on the main menu
+ */
+class ControlsView {
+    /**
+     * @param {ControlBindings} bindings - Bindings to show and change
+     */
+    constructor(bindings) {
+        this.bindings = bindings;
+        this.screen = document.getElementById('controls-screen');
+        this.list = document.getElementById('controls-list');
+        this.message = document.getElementById('controls-message');
+        this.summary = document.getElementById('controls-summary');
+
+        // Slot waiting for a key: {actionId, slot, pending} - pending is a
+        // conflicting key pressed once, which a second press confirms
+        this.capture = null;
+
+        // Callbacks
+        this.onChange = null;   // () => void, after any binding changes
+        this.onClose = null;    // () => void
+
+        // Mouse buttons are bound by clicking the waiting slot with them
+        this.list.addEventListener('mousedown', (e) => {
+            if (this.capture && e.target.classList.contains('capturing')) {
+                e.preventDefault();
+                this.captureKey(`Mouse${e.button}`);
+            }
+        });
+        this.screen.addEventListener('contextmenu', (e) => e.preventDefault());
+
+        this.renderSummary();
+    }
+
+    /**
+     * Check if the screen is showing
+     * @returns {boolean} True while open
+     */
+    isOpen() {
+        return !this.screen.classList.contains('hidden');
+    }
+
+    /**
+     * Show the screen
+     */
+    show() {
+        this.capture = null;
+        this.render();
+        this.setMessage('Click a key to change it');
+        this.screen.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the screen
+     */
+    hide() {
+        this.capture = null;
+        this.screen.classList.add('hidden');
+    }
+
+    /**
+     * Handle a key pressed while the screen is open
+     * @param {string} key - KeyboardEvent.code
+     */
+    handleKey(key) {
+        if (this.capture) {
+            this.captureKey(key);
+        } else if (key === 'Escape' && this.onClose) {
+            this.onClose();
+        }
+    }
+
+    /**
+     * Go back to the default keys
+     */
+    resetDefaults() {
+        this.bindings.resetDefaults();
+        this.capture = null;
+        this.render();
+        this.setMessage('Default controls restored');
+        this.changed();
+    }
+
+    /**
+     * Wait for a key for an action slot
+     * @param {string} actionId - Action ID
+     * @param {number} slot - Slot index
+     */
+    startCapture(actionId, slot) {
+        this.capture = { actionId, slot, pending: null };
+        this.render();
+        this.setMessage('Press a key, or click the slot with a mouse button. Esc cancels, Backspace clears.');
+    }
+
+    /**
+     * Use a key for the waiting slot. A key another action uses only
+     * moves over when pressed twice.
+     * @param {string} key - KeyboardEvent.code or 'Mouse<button>'
+     */
+    captureKey(key) {
+        const { actionId, slot, pending } = this.capture;
+
+        if (key === 'Escape') {
+            this.capture = null;
+            this.render();
+            this.setMessage('Click a key to change it');
+            return;
+        }
+
+        if (key === 'Backspace' || key === 'Delete') {
+            this.bindings.clear(actionId, slot);
+        } else {
+            const conflict = this.bindings.findConflict(key, actionId);
+            if (conflict && pending !== key) {
+                this.capture.pending = key;
+                this.setMessage(`${ControlBindings.keyLabel(key)} is already used for ` +
+                    `${ControlsView.actionLabel(conflict)} - press it again to move it here`, true);
+                return;
+            }
+            this.bindings.bind(actionId, slot, key);
+        }
+
+        this.capture = null;
+        this.render();
+        this.setMessage('Click a key to change it');
+        this.changed();
+    }
+
+    /**
+     * Tell the game and the main menu that bindings changed
+     */
+    changed() {
+        this.renderSummary();
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Show a hint or warning above the list
+     * @param {string} text - Message
+     * @param {boolean} warning - True to highlight a conflict
+     */
+    setMessage(text, warning = false) {
+        this.message.textContent = text;
+        this.message.classList.toggle('warning', warning);
+    }
+
+    /**
+     * Redraw the binding rows
+     */
+    render() {
+        this.list.innerHTML = '';
+
+        CONTROL_ACTIONS.forEach(action => {
+            const row = document.createElement('div');
+            row.className = 'setting-row controls-row';
+            row.innerHTML = `<span>${action.label}</span>`;
+
+            this.bindings.getKeys(action.id).forEach((key, slot) => {
+                const capturing = !!this.capture &&
+                    this.capture.actionId === action.id && this.capture.slot === slot;
+
+                const btn = document.createElement('button');
+                btn.className = 'setting-toggle binding-key';
+                btn.classList.toggle('off', !key && !capturing);
+                btn.classList.toggle('capturing', capturing);
+                btn.textContent = capturing ? '...' : (key ? ControlBindings.keyLabel(key) : '—');
+                btn.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    if (!this.capture) this.startCapture(action.id, slot);
+                });
+                row.appendChild(btn);
+            });
+
+            this.list.appendChild(row);
+        });
+    }
+
+    /**
+     * Fill in the main menu's controls panel from the current keys
+     */
+    renderSummary() {
+        this.summary.innerHTML = CONTROL_SUMMARY.map(line => {
+            // Single actions list every key; groups list each action's first key
+            const keys = line.actions.length === 1 ?
+                this.bindings.getKeys(line.actions[0]).filter(k => k).map(ControlBindings.keyLabel) :
+                line.actions.map(id => this.bindings.getLabel(id)).filter(label => label);
+            if (keys.length === 0) return '';
+
+            const separator = line.actions.length === 1 ? ' or ' : '';
+            return `<p>${keys.map(k => `<span class="key">${k}</span>`).join(separator)} ${line.text}</p>`;
+        }).join('');
+    }
+
+    /**
+     * Name of an action for messages
+     * @param {string} actionId - Action ID
+     * @returns {string} Label from CONTROL_ACTIONS
+     */
+    static actionLabel(actionId) {
+        const action = CONTROL_ACTIONS.find(a => a.id === actionId);
+        return action ? action.label : actionId;
+    }
+}
@@ -1,6 +1,7 @@
 /**
  * SNAKE KILLER - Main Game Engine
- * Core game loop, state management, and coordination
+ * Browser shell around the Simulation: game loop, input, replays,
+ * rendering, and turning simulation events into HUD and audio feedback
  */
 
 class Game {
@@ -15,26 +16,83 @@ class Game {
 
         // Initialize systems
         this.hud = new HUD();
-        this.leveling = new LevelingSystem();
-        this.powerupManager = new PowerupManager();
         // === NEW: Audio System ===
         this.audio = new AudioManager();
 
-        // Game entities
-        this.player = null;
-        this.bullets = [];
-        this.snakes = [];
-        this.ally = null;  // === NEW: NPC ally from Call for Help ===
+        // Game world (player, snakes, bullets, leveling, power-ups, ally)
+        this.sim = new Simulation(this.canvas.width, this.canvas.height);
+
+        // Benchmark mode (?benchmark) - compares brute-force and hashed collision queries
+        this.benchmark = new URLSearchParams(window.location.search).has('benchmark') ?
+            { timer: 0, interval: 2, report: null } : null;
 
         // Game state
         this.running = false;
         this.gameOver = false;
+        this.paused = false;
+        this.awaitingPerk = false;    // Level-up perk choice is open
         this.lastTime = 0;
-        this.lastSpawnTime = 0;
+        this.frameRequest = null; // Pending requestAnimationFrame id
+        this.nukeFlash = 0;       // Seconds left on the nuke screen flash
+        this.blasts = [];         // Expanding explosion rings {x, y, radius, ringTime, age}
+
+        // Input is queued and applied at the start of the next simulation step
+        this.inputQueue = [];
+
+        // Controller - polled every frame, in the game loop or (in menus) its own loop
+        this.gamepad = new GamepadInput();
+        this.lastPadAction = null;    // Last ['g', ...] action queued, to skip repeats
+        this.menuFocus = null;        // Menu item picked with the d-pad
+        this.padFrame = null;         // Pending requestAnimationFrame id of the menu loop
+
+        // Touch twin sticks, sent to the simulation like the gamepad's
+        this.joysticks = new VirtualJoysticks(this.canvas.width);
+        this.lastTap = null;          // {control, time} of the last move tap, for double-tap dashes
+
+        // Off-screen snake arrows and the optional minimap
+        this.radar = new ThreatRadar(this.canvas.width, this.canvas.height);
+
+        // Replays
+        this.recorder = new ReplayRecorder();
+        this.replayControls = new ReplayControls();
+        this.replayPlayer = null;     // Set while watching a replay
+        this.lastReplay = null;       // Recording of the last finished run
+        this.replayReturnScreen = null;
+
+        // High scores and run history
+        this.scoreBoard = new ScoreBoard();
+        this.leaderboard = new LeaderboardView(this.scoreBoard);
+        this.lastRun = null;          // Saved record of the last finished run
+
+        // Weapons unlocked in any run, and the starting-loadout option
+        this.unlocks = new WeaponUnlocks();
+
+        // Key bindings and the screen for changing them
+        this.controls = new ControlBindings();
+        this.controlsView = new ControlsView(this.controls);
+        this.controlsReturnScreen = null;
+        this.pointerX = this.canvas.width / 2;  // Last mouse position, for keys bound to fire
+        this.pointerY = this.canvas.height / 2;
+
+        // Power-pack upgrade shop
+        this.shop = new ShopView();
+        this.shopFromPause = false;   // Closing the shop returns to the pause menu
+
+        // Fixed-step simulation
+        this.timestep = this.sim.timestep;
+        this.accumulator = 0;     // Real time not yet simulated (s)
 
         // UI elements
         this.mainMenu = document.getElementById('main-menu');
+        this.replayError = document.getElementById('replay-error');
+        this.seedInput = document.getElementById('seed-input');
+        this.loadoutField = document.getElementById('loadout-field');
         this.gameOverScreen = document.getElementById('game-over');
+        this.pauseMenu = document.getElementById('pause-menu');
+        this.pauseButtons = document.getElementById('pause-buttons');
+        this.settingsPanel = document.getElementById('settings-panel');
+        this.initialsField = document.getElementById('initials-field');
+        this.initialsInput = document.getElementById('initials-input');
 
         // Bind methods
         this.gameLoop = this.gameLoop.bind(this);
@@ -47,7 +105,7 @@ class Game {
         this.handleTouchStart = this.handleTouchStart.bind(this);
         this.handleTouchMove = this.handleTouchMove.bind(this);
         this.handleTouchEnd = this.handleTouchEnd.bind(this);
-        this.handlePowerupActivation = this.handlePowerupActivation.bind(this);
+        this.padLoop = this.padLoop.bind(this);
         this.toggleSound = this.toggleSound.bind(this);
 
         // Setup callbacks
@@ -61,25 +119,197 @@ class Game {
      * Setup system callbacks
      */
     setupCallbacks() {
-        // Level up callback
-        this.leveling.onLevelUp = (level) => {
-            this.hud.showLevelUp();
-            this.audio.play('levelup');
-            this.updateBackground(level);
+        // Simulation events drive the HUD and audio
+        this.sim.onEvent = (type, data) => this.handleSimEvent(type, data);
+
+        // Shop purchases
+        this.shop.onBuy = (id) => this.buyUpgrade(id);
+
+        // Rebinding
+        this.controlsView.onChange = () => this.hud.updateKeyLabels(this.controls);
+        this.controlsView.onClose = () => this.closeControls();
+
+        // Controller hot-plugging
+        this.gamepad.onConnect = () => {
+            this.hud.showPowerupNotification('🎮 CONTROLLER CONNECTED');
+            if (this.padFrame === null) {
+                this.padFrame = requestAnimationFrame(this.padLoop);
+            }
+        };
+        this.gamepad.onDisconnect = () => {
+            this.hud.showPowerupNotification('🎮 CONTROLLER DISCONNECTED');
+            this.pause();
         };
 
-        // XP change callback
-        this.leveling.onXpChange = (xp, xpToNext, level) => {
-            this.hud.updateXp(xp, xpToNext, level);
+        // Replay viewer callbacks
+        this.replayControls.onTogglePause = () => this.toggleReplayPause();
+        this.replayControls.onCycleSpeed = () => {
+            this.replayControls.setSpeed(this.replayPlayer.cycleSpeed());
         };
+        this.replayControls.onSeek = (tick) => this.seekReplay(tick);
+        this.replayControls.onExit = () => this.exitReplay();
+    }
 
-        // Power-up HUD callback
-        this.powerupManager.setHudCallback((powerups) => {
-            // Update active list (top right)
-            this.hud.updatePowerups(powerups);
-            // Update toolbar state (bottom center)
-            this.hud.updatePowerupToolbar(this.points, this.powerupManager.activePowerups);
-        });
+    /**
+     * React to something that happened in the simulation
+     * @param {string} type - Event type (see simulation.js)
+     * @param {Object} data - Event data
+     */
+    handleSimEvent(type, data) {
+        const sim = this.sim;
+
+        switch (type) {
+            case 'shoot':
+                this.audio.play('shoot');
+                break;
+
+            case 'dryFire':
+                this.audio.play('empty');
+                break;
+
+            case 'dash':
+                this.audio.play('dash');
+                break;
+
+            case 'weaponSwitch':
+                this.hud.updateWeaponToolbar(data.id);
+                this.hud.showWeaponSwitchFeedback(data.id);
+                this.audio.play('switch');
+                break;
+
+            case 'weaponUnlocked':
+                this.hud.updateWeaponLocks(sim.points, sim.unlockedWeapons);
+                this.hud.showBanner('WEAPON UNLOCKED', `${data.weapon.icon} ${data.weapon.name}`);
+                this.audio.play('unlock');
+                // Replays don't count toward lifetime unlocks
+                if (!this.replayPlayer && this.unlocks.add(data.weapon.id)) {
+                    this.updateLoadoutOption();
+                }
+                break;
+
+            case 'powerPack':
+                this.hud.showPowerupNotification(data.result === 'started' ?
+                    data.pack.name : `${data.pack.name} ${data.result.toUpperCase()}`);
+                this.audio.play('powerup');
+                break;
+
+            case 'powerupsChanged':
+                // Update active list (top right)
+                this.hud.updatePowerups(data.powerups);
+                // Update toolbar state (bottom center)
+                this.hud.updatePowerupToolbar(sim.points, sim.powerupManager);
+                break;
+
+            case 'points':
+                this.hud.updatePoints(data.points);
+                this.hud.updatePowerupToolbar(data.points, sim.powerupManager);
+                this.hud.updateWeaponLocks(data.points, sim.unlockedWeapons);
+                break;
+
+            case 'packUpgraded':
+                this.hud.updatePowerupToolbar(sim.points, sim.powerupManager);
+                if (this.shop.isOpen()) {
+                    this.shop.update(sim.points, sim.powerupManager);
+                }
+                this.audio.play('powerup');
+                break;
+
+            case 'xp':
+                this.hud.updateXp(data.xp, data.xpToNext, data.level);
+                break;
+
+            case 'levelUp':
+                this.hud.showLevelUp();
+                this.audio.play('levelup');
+                this.updateBackground(data.level);
+                break;
+
+            case 'perkOffer':
+                // Replays pick from the recording
+                if (!this.replayPlayer) {
+                    this.awaitingPerk = true;
+                    this.hud.showPerkChoice(data.choices, sim.player.perks, id => this.choosePerk(id));
+                }
+                break;
+
+            case 'perkChosen':
+                this.hud.hidePerkChoice();
+                this.hud.updatePerks(data.perks);
+                this.hud.showPowerupNotification(data.perk.name);
+                this.audio.play('powerup');
+                break;
+
+            case 'waveStart':
+                this.hud.updateWave(data.wave);
+                this.hud.showWaveBanner(data.wave, data.name);
+                break;
+
+            case 'waveComplete':
+                if (!this.replayPlayer) {
+                    const shopKey = this.controls.getLabel('shop');
+                    this.hud.showBanner('WAVE CLEAR', shopKey ? `Press ${shopKey} to shop` : 'Time to shop');
+                }
+                break;
+
+            case 'snakeKilled':
+                this.audio.play('hit');
+                break;
+
+            case 'heal':
+                this.hud.showHealNotification(data.amount);
+                break;
+
+            case 'pickup':
+                this.hud.showPowerupNotification(data.powerup.name);
+                this.audio.play('powerup');
+                break;
+
+            case 'nuke':
+                this.nukeFlash = PICKUP_CONFIG.nukeFlashTime;
+                break;
+
+            case 'explosion':
+                this.blasts.push({ ...data, age: 0 });
+                this.audio.play('boom');
+                break;
+
+            case 'allySpawn':
+                this.audio.play('allySpawn');
+                break;
+
+            case 'allyDespawn':
+                this.audio.play('allyDespawn');
+                break;
+
+            case 'bossSpawn':
+                this.hud.showBossBar(data.boss.name);
+                this.hud.showBanner('⚠ BOSS ⚠', data.boss.name);
+                this.audio.play('bossRoar');
+                break;
+
+            case 'bossDefeated':
+                this.hud.hideBossBar();
+                this.hud.showPowerupNotification('BOSS DEFEATED');
+                break;
+
+            // 'gameOver' is handled in step(), once the tick it happened on is counted
+        }
+    }
+
+    /**
+     * Refresh the per-frame HUD readouts
+     */
+    updateHud() {
+        const sim = this.sim;
+        this.hud.updateHealth(sim.player.health, sim.player.maxHealth);
+        this.hud.updateScore(sim.leveling.score);
+        this.hud.updateKills(sim.leveling.totalKills);
+        this.hud.updateAmmo(sim.player);
+        this.hud.updateDash(sim.player);
+        this.shopButton.classList.toggle('ready', this.canOpenShop());
+        if (sim.boss) {
+            this.hud.updateBossHealth(sim.boss.health, sim.boss.maxHealth);
+        }
     }
 
     /**
@@ -99,12 +329,53 @@ class Game {
      */
     toggleSound() {
         if (!this.audio) return;
-        const enabled = this.audio.toggle();
+        this.audio.toggle();
+        this.updateSoundButtons();
+    }
+
+    /**
+     * Show the sound state on the HUD button and in settings
+     */
+    updateSoundButtons() {
+        const enabled = this.audio.enabled;
         const btn = document.getElementById('sound-toggle');
         if (btn) {
             btn.classList.toggle('muted', !enabled);
             btn.textContent = enabled ? '🔊' : '🔇';
         }
+
+        const setting = document.getElementById('setting-sound');
+        if (setting) {
+            setting.classList.toggle('off', !enabled);
+            setting.textContent = enabled ? 'ON' : 'OFF';
+        }
+    }
+
+    /**
+     * Show whether the minimap is on in settings
+     */
+    updateRadarButton() {
+        const setting = document.getElementById('setting-radar');
+        setting.classList.toggle('off', !this.radar.enabled);
+        setting.textContent = this.radar.enabled ? 'ON' : 'OFF';
+    }
+
+    /**
+     * Show the starting-loadout option on the main menu, once there is
+     * something to start with
+     */
+    updateLoadoutOption() {
+        const weapons = this.unlocks.weapons;
+        this.loadoutField.classList.toggle('hidden', weapons.length === 0);
+
+        const toggle = document.getElementById('loadout-toggle');
+        toggle.classList.toggle('off', !this.unlocks.useLoadout);
+        toggle.textContent = this.unlocks.useLoadout ? 'ON' : 'OFF';
+
+        document.getElementById('loadout-weapons').textContent = Object.values(WEAPONS)
+            .filter(w => weapons.includes(w.id))
+            .map(w => w.icon)
+            .join(' ');
     }
 
     /**
@@ -138,16 +409,17 @@ class Game {
         // Menu buttons - add touch support for iOS
         const startBtn = document.getElementById('start-btn');
         const restartBtn = document.getElementById('restart-btn');
+        const replaySeedBtn = document.getElementById('replay-seed-btn');
 
         // Start button - ensure audio is initialized on touch/click
         startBtn.addEventListener('click', () => {
             if (this.audio) this.audio.init();
-            this.start();
+            this.start(parseSeed(this.seedInput.value));
         });
         startBtn.addEventListener('touchend', (e) => {
             e.preventDefault();
             if (this.audio) this.audio.init();
-            this.start();
+            this.start(parseSeed(this.seedInput.value));
         }, { passive: false });
 
         // Restart button
@@ -161,6 +433,116 @@ class Game {
             this.restart();
         }, { passive: false });
 
+        // Replay buttons
+        this.addButtonListener('watch-replay-btn', () => {
+            if (this.lastReplay) this.startReplay(this.lastReplay, this.gameOverScreen);
+        });
+        this.addButtonListener('download-replay-btn', () => {
+            if (this.lastReplay) downloadReplay(this.lastReplay);
+        });
+
+        // Load a replay file from the main menu
+        const replayFile = document.getElementById('replay-file');
+        this.addButtonListener('load-replay-btn', () => replayFile.click());
+        replayFile.addEventListener('change', () => {
+            const file = replayFile.files[0];
+            replayFile.value = '';
+            if (file) this.loadReplayFile(file);
+        });
+
+        // Key bindings
+        this.addButtonListener('controls-btn', () => this.openControls(this.mainMenu));
+        this.addButtonListener('controls-reset-btn', () => this.controlsView.resetDefaults());
+        this.addButtonListener('controls-back-btn', () => this.closeControls());
+
+        // Leaderboard
+        this.addButtonListener('leaderboard-btn', () => {
+            this.mainMenu.classList.add('hidden');
+            this.leaderboard.show();
+        });
+        this.addButtonListener('leaderboard-back-btn', () => {
+            this.leaderboard.hide();
+            this.mainMenu.classList.remove('hidden');
+        });
+
+        // Initials for the last run's leaderboard entry
+        this.initialsInput.addEventListener('change', () => {
+            if (!this.lastRun) return;
+            this.initialsInput.value =
+                this.scoreBoard.setInitials(this.lastRun.id, this.initialsInput.value);
+        });
+
+        // Same seed button - replays the run that just ended
+        replaySeedBtn.addEventListener('click', () => {
+            if (this.audio) this.audio.init();
+            this.restart(this.sim.seed);
+        });
+        replaySeedBtn.addEventListener('touchend', (e) => {
+            e.preventDefault();
+            if (this.audio) this.audio.init();
+            this.restart(this.sim.seed);
+        }, { passive: false });
+
+        // === Pause ===
+        const pauseBtn = document.getElementById('pause-toggle');
+        pauseBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.pause();
+        });
+        pauseBtn.addEventListener('touchend', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.pause();
+        }, { passive: false });
+
+        this.addButtonListener('resume-btn', () => this.resume());
+        this.addButtonListener('pause-restart-btn', () => this.restart());
+        this.addButtonListener('pause-shop-btn', () => this.openShop(true));
+        this.addButtonListener('shop-close-btn', () => this.closeShop());
+        this.addButtonListener('settings-btn', () => this.showSettings(true));
+        this.addButtonListener('settings-back-btn', () => this.showSettings(false));
+        this.addButtonListener('setting-sound', () => this.toggleSound());
+        this.addButtonListener('setting-radar', () => {
+            this.radar.toggle();
+            this.updateRadarButton();
+        });
+        this.addButtonListener('setting-controls', () => this.openControls(this.pauseMenu));
+        this.addButtonListener('quit-btn', () => this.quitToMenu());
+        this.updateSoundButtons();
+        this.updateRadarButton();
+
+        // Starting loadout (main menu)
+        this.addButtonListener('loadout-toggle', () => {
+            this.unlocks.setUseLoadout(!this.unlocks.useLoadout);
+            this.updateLoadoutOption();
+        });
+        this.updateLoadoutOption();
+
+        // === Shop (between waves) ===
+        this.shopButton = document.getElementById('shop-toggle');
+        this.shopButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.openShop(false);
+        });
+        this.shopButton.addEventListener('touchend', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.openShop(false);
+        }, { passive: false });
+
+        // Pause when the tab is hidden
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) return;
+
+            if (this.replayPlayer && !this.replayPlayer.paused) {
+                this.toggleReplayPause();
+            } else {
+                this.pause();
+            }
+        });
+
         // === Sound Toggle ===
         const soundBtn = document.getElementById('sound-toggle');
         if (soundBtn) {
@@ -196,29 +578,55 @@ class Game {
     }
 
     /**
-     * Switch weapon by ID
-     * Triggers visual feedback and optional sound effect
-     * @param {string} id - Weapon ID to switch to
+     * Listen for click and touch on a menu button
+     * @param {string} id - Button element ID
+     * @param {Function} handler - Called on press
      */
-    switchWeapon(id) {
-        if (!this.player) return;
+    addButtonListener(id, handler) {
+        const btn = document.getElementById(id);
+        btn.addEventListener('click', () => {
+            if (this.audio) this.audio.init();
+            handler();
+        });
+        btn.addEventListener('touchend', (e) => {
+            e.preventDefault();
+            if (this.audio) this.audio.init();
+            handler();
+        }, { passive: false });
+    }
 
-        // Check if already using this weapon
-        if (this.player.currentWeapon && this.player.currentWeapon.id === id) {
-            return; // No switch needed
+    /**
+     * Queue an input action for the next simulation step
+     * Ignored while watching a replay - the recording drives the game
+     * @param {Array} action - Input action (see replay.js)
+     */
+    queueInput(action) {
+        if (this.replayPlayer) return;
+
+        // Only the latest aim point matters within a step
+        const last = this.inputQueue[this.inputQueue.length - 1];
+        if (action[0] === 'a' && action[3] === null && last && last[0] === 'a' && last[3] === null) {
+            this.inputQueue[this.inputQueue.length - 1] = action;
+            return;
         }
 
-        // Switch weapon in player
-        this.player.setWeapon(id);
-
-        // Update toolbar highlighting
-        this.hud.updateWeaponToolbar(id);
+        this.inputQueue.push(action);
+    }
 
-        // Trigger switch animation feedback
-        this.hud.showWeaponSwitchFeedback(id);
+    /**
+     * Take this step's input - queued live input (recorded), or the replay's
+     * @returns {Array} Input actions for the next simulation step
+     */
+    takeInputs() {
+        const tick = this.sim.tick;
+        if (this.replayPlayer) {
+            return this.replayPlayer.takeActions(tick);
+        }
 
-        // Play switch sound (respects sound toggle)
-        this.audio.play('switch');
+        const actions = this.inputQueue;
+        actions.forEach(action => this.recorder.record(tick, action));
+        this.inputQueue = [];
+        return actions;
     }
 
     /**
@@ -226,18 +634,60 @@ class Game {
      * @param {KeyboardEvent} e - Keyboard event
      */
     handleKeyDown(e) {
-        if (this.player && this.running) {
-            this.player.handleKeyInput(e.key, true);
+        if (this.replayPlayer) {
+            this.handleReplayKey(e);
+            return;
+        }
+
+        // Typing initials shouldn't restart the game
+        if (e.target === this.initialsInput) return;
 
-            // Weapon Hotkeys
-            if (e.key === '1') this.switchWeapon(WEAPONS.PISTOL.id);
-            if (e.key === '2') this.switchWeapon(WEAPONS.RAPID.id);
-            if (e.key === '3') this.switchWeapon(WEAPONS.SHOTGUN.id);
-            if (e.key === '4') this.switchWeapon(WEAPONS.TANK.id);
+        // The controls screen takes every key while it's open
+        if (this.controlsView.isOpen()) {
+            e.preventDefault();
+            this.controlsView.handleKey(e.code);
+            return;
         }
 
-        // Restart on space when game over
-        if (e.code === 'Space' && this.gameOver) {
+        // Number keys pick a perk while the choice is open
+        if (this.awaitingPerk && !this.paused) {
+            const choice = this.sim.perkChoices[Number(e.key) - 1];
+            if (choice) {
+                this.choosePerk(choice);
+                return;
+            }
+        }
+
+        const action = this.controls.getAction(e.code);
+
+        // Pause toggle (backs out of the shop first)
+        if (action === 'pause' && this.running && !this.gameOver) {
+            if (this.shop.isOpen()) {
+                this.closeShop();
+            } else if (this.paused) {
+                this.resume();
+            } else {
+                this.pause();
+            }
+            return;
+        }
+
+        // Shop toggle
+        if (action === 'shop' && this.running && !this.gameOver) {
+            if (this.shop.isOpen()) {
+                this.closeShop();
+            } else {
+                this.openShop(false);
+            }
+            return;
+        }
+
+        if (action && this.sim.player && this.running && !this.paused && !e.repeat) {
+            this.applyControl(action, true);
+        }
+
+        // Restart (Space) when game over
+        if (action === 'restart' && this.gameOver) {
             this.restart();
         }
     }
@@ -247,21 +697,75 @@ class Game {
      * @param {KeyboardEvent} e - Keyboard event
      */
     handleKeyUp(e) {
-        if (this.player && this.running) {
-            this.player.handleKeyInput(e.key, false);
+        const action = this.controls.getAction(e.code);
+        if (action && this.sim.player && this.running) {
+            this.applyControl(action, false);
         }
     }
 
+    /**
+     * Play a bound control during a run
+     * @param {string} action - Action ID from CONTROL_ACTIONS
+     * @param {boolean} pressed - True when the key goes down, false when it comes up
+     */
+    applyControl(action, pressed) {
+        const [name, id] = action.split(':');
+
+        switch (name) {
+            case 'up':
+            case 'down':
+            case 'left':
+            case 'right':
+                this.queueInput(['k', name, pressed]);
+                // A quick second tap of the same direction dashes
+                if (pressed && this.isDoubleTap(name)) {
+                    this.queueInput(['k', 'dash', true]);
+                }
+                break;
+            case 'reload':
+            case 'dash':
+                this.queueInput(['k', name, pressed]);
+                break;
+            case 'fire':
+                this.queueInput(['a', this.pointerX, this.pointerY, pressed]);
+                break;
+            case 'weapon':
+                if (pressed) this.queueInput(['w', id]);
+                break;
+            case 'pack':
+                if (pressed) this.queueInput(['p', id]);
+                break;
+            case 'prevWeapon':
+            case 'nextWeapon':
+                if (pressed) this.cycleWeapon(name === 'nextWeapon' ? 1 : -1);
+                break;
+        }
+    }
+
+    /**
+     * Note a tap and check if it repeats the last one quickly enough to dash
+     * @param {string} control - What was tapped (a move direction or 'moveStick')
+     * @returns {boolean} True on the second of two quick taps
+     */
+    isDoubleTap(control) {
+        const now = performance.now();
+        const last = this.lastTap;
+        const double = !!last && last.control === control &&
+            now - last.time <= DASH_CONFIG.doubleTapWindow * 1000;
+
+        // The second tap is used up, so a third starts over
+        this.lastTap = double ? null : { control, time: now };
+        return double;
+    }
+
     /**
      * Handle mouse move event
      * @param {MouseEvent} e - Mouse event
      */
     handleMouseMove(e) {
-        if (this.player && this.running) {
-            const rect = this.canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-            this.player.handleMouseInput(x, y);
+        if (this.sim.player && this.running) {
+            this.updatePointer(e);
+            this.queueInput(['a', this.pointerX, this.pointerY, null]);
         }
     }
 
@@ -270,12 +774,7 @@ class Game {
      * @param {MouseEvent} e - Mouse event
      */
     handleMouseDown(e) {
-        if (e.button === 0 && this.player && this.running) {
-            const rect = this.canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-            this.player.handleMouseInput(x, y, true);
-        }
+        this.handleMouseButton(e, true);
     }
 
     /**
@@ -283,11 +782,34 @@ class Game {
      * @param {MouseEvent} e - Mouse event
      */
     handleMouseUp(e) {
-        if (e.button === 0 && this.player) {
-            this.player.handleMouseInput(this.player.mouseX, this.player.mouseY, false);
+        this.handleMouseButton(e, false);
+    }
+
+    /**
+     * Play the control bound to a mouse button
+     * @param {MouseEvent} e - Mouse event
+     * @param {boolean} pressed - True on mouse down
+     */
+    handleMouseButton(e, pressed) {
+        if (!this.sim.player || !this.running) return;
+
+        this.updatePointer(e);
+        const action = this.controls.getAction(`Mouse${e.button}`);
+        if (action && (!pressed || !this.paused)) {
+            this.applyControl(action, pressed);
         }
     }
 
+    /**
+     * Remember where the mouse is over the canvas
+     * @param {MouseEvent} e - Mouse event
+     */
+    updatePointer(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.pointerX = Math.round(e.clientX - rect.left);
+        this.pointerY = Math.round(e.clientY - rect.top);
+    }
+
     // =====================================================
     // === NEW: TOUCH INPUT HANDLERS FOR MOBILE ===
     // =====================================================
@@ -305,15 +827,15 @@ class Game {
         const scaleX = this.canvas.width / rect.width;
         const scaleY = this.canvas.height / rect.height;
 
-        // Convert touch coordinates to canvas coordinates
-        const x = (touch.clientX - rect.left) * scaleX;
-        const y = (touch.clientY - rect.top) * scaleY;
+        // Convert touch coordinates to canvas coordinates (whole pixels, as recorded)
+        const x = Math.round((touch.clientX - rect.left) * scaleX);
+        const y = Math.round((touch.clientY - rect.top) * scaleY);
 
         return { x, y };
     }
 
     /**
-     * Handle touch start event
+     * Handle touch start event - each new thumb grabs the stick on its side
      * @param {TouchEvent} e - Touch event
      */
     handleTouchStart(e) {
@@ -322,14 +844,22 @@ class Game {
         // Ensure audio is unlocked on touch (iOS Safari requirement)
         if (this.audio) this.audio.init();
 
-        if (!this.player || !this.running) return;
+        if (!this.sim.player || !this.running || this.paused) return;
 
-        // Use the first touch
-        const touch = e.touches[0];
-        if (!touch) return;
+        Array.from(e.changedTouches).forEach(touch => {
+            // Near-misses on the toolbars shouldn't move the player
+            if (this.hud.isOverToolbar(touch.clientX, touch.clientY)) return;
 
-        const coords = this.getTouchCanvasCoords(touch);
-        this.player.handleTouchInput(coords.x, coords.y, 'start');
+            const coords = this.getTouchCanvasCoords(touch);
+            this.joysticks.start(touch.identifier, coords.x, coords.y);
+
+            // Tapping the move stick twice dashes
+            if (this.joysticks.getStick(touch.identifier) === this.joysticks.move &&
+                this.isDoubleTap('moveStick')) {
+                this.queueInput(['k', 'dash', true]);
+            }
+        });
+        this.queueStickInput();
     }
 
     /**
@@ -339,14 +869,13 @@ class Game {
     handleTouchMove(e) {
         e.preventDefault(); // Prevent scrolling
 
-        if (!this.player || !this.running) return;
+        if (!this.sim.player || !this.running) return;
 
-        // Use the first touch
-        const touch = e.touches[0];
-        if (!touch) return;
-
-        const coords = this.getTouchCanvasCoords(touch);
-        this.player.handleTouchInput(coords.x, coords.y, 'move');
+        Array.from(e.changedTouches).forEach(touch => {
+            const coords = this.getTouchCanvasCoords(touch);
+            this.joysticks.moveTouch(touch.identifier, coords.x, coords.y);
+        });
+        this.queueStickInput();
     }
 
     /**
@@ -356,303 +885,734 @@ class Game {
     handleTouchEnd(e) {
         e.preventDefault();
 
-        if (!this.player) return;
+        if (!this.sim.player || !this.running) return;
+
+        Array.from(e.changedTouches).forEach(touch => this.joysticks.end(touch.identifier));
+        this.queueStickInput();
+    }
+
+    /**
+     * Send the touch sticks to the simulation if they changed
+     */
+    queueStickInput() {
+        const sticks = this.joysticks.read();
+        this.queueStickAction(['g', sticks.move.x, sticks.move.y, sticks.aim.x, sticks.aim.y, sticks.fire]);
+    }
 
-        // End touch input
-        this.player.handleTouchInput(0, 0, 'end');
+    /**
+     * Queue a stick action (gamepad or touch), skipping repeats of the last one
+     * @param {Array} action - ['g', moveX, moveY, aimX, aimY, fire]
+     */
+    queueStickAction(action) {
+        const last = this.lastPadAction;
+        if (!last || action.some((value, i) => value !== last[i])) {
+            this.queueInput(action);
+            this.lastPadAction = action;
+        }
+    }
+
+    // =====================================================
+    // GAMEPAD
+    // =====================================================
+
+    /**
+     * Poll the controller in menus, where the game loop isn't running
+     */
+    padLoop() {
+        if (!this.gamepad.isConnected()) {
+            this.padFrame = null;
+            return;
+        }
+
+        if (!this.running) {
+            this.pollGamepad();
+        }
+        this.padFrame = requestAnimationFrame(this.padLoop);
+    }
+
+    /**
+     * Read the controller and turn it into input actions, or menu moves
+     * while a menu is open
+     */
+    pollGamepad() {
+        const pad = this.gamepad.poll();
+        if (!pad) return;
+
+        const menu = this.getOpenMenu();
+        if (menu) {
+            this.navigateMenu(menu, pad.pressed);
+            return;
+        }
+
+        if (this.replayPlayer) {
+            if (pad.pressed.includes('start')) this.toggleReplayPause();
+            if (pad.pressed.includes('b')) this.exitReplay();
+            return;
+        }
+        if (!this.running || this.gameOver) return;
+
+        // Sticks and trigger, unless the touch sticks are in use
+        if (!this.joysticks.isActive()) {
+            this.queueStickAction(['g', pad.move.x, pad.move.y, pad.aim.x, pad.aim.y, pad.fire]);
+        }
+
+        pad.pressed.forEach(button => {
+            const pack = Object.values(POWER_PACKS)[GAMEPAD_CONFIG.packButtons.indexOf(button)];
+            if (pack) {
+                this.queueInput(['p', pack.id]);
+            } else if (button === 'lt') {
+                this.queueInput(['k', 'dash', true]);
+            } else if (button === 'lb' || button === 'rb') {
+                this.cycleWeapon(button === 'rb' ? 1 : -1);
+            } else if (button === 'start') {
+                this.pause();
+            } else if (button === 'back') {
+                this.openShop(false);
+            }
+        });
+    }
+
+    /**
+     * Switch to the next or previous unlocked weapon in toolbar order
+     * @param {number} direction - 1 for next, -1 for previous
+     */
+    cycleWeapon(direction) {
+        const weapons = Object.values(WEAPONS).filter(w => this.sim.isWeaponUnlocked(w.id));
+        const current = weapons.indexOf(this.sim.player.currentWeapon);
+        const next = weapons[(current + direction + weapons.length) % weapons.length];
+        this.queueInput(['w', next.id]);
+    }
+
+    /**
+     * The overlay the controller should drive, topmost first
+     * @returns {HTMLElement|null} Open menu, or null during play
+     */
+    getOpenMenu() {
+        const menus = [
+            this.controlsView.screen,
+            this.shop.screen,
+            this.hud.perkChoice,
+            this.pauseMenu,
+            this.gameOverScreen,
+            this.leaderboard.screen,
+            this.mainMenu
+        ];
+        return menus.find(menu => !menu.classList.contains('hidden')) || null;
+    }
+
+    /**
+     * Move through a menu with the d-pad: A presses the picked item,
+     * B backs out and Start resumes, starts or restarts
+     * @param {HTMLElement} menu - Open menu
+     * @param {string[]} pressed - Buttons that went down this frame
+     */
+    navigateMenu(menu, pressed) {
+        const items = Array.from(menu.querySelectorAll('button, .perk-card'))
+            .filter(item => !item.disabled && item.offsetParent !== null);
+        let index = items.indexOf(this.menuFocus);
+
+        pressed.forEach(button => {
+            switch (button) {
+                case 'up':
+                case 'left':
+                    index = index <= 0 ? items.length - 1 : index - 1;
+                    break;
+                case 'down':
+                case 'right':
+                    index = (index + 1) % items.length;
+                    break;
+                case 'a':
+                    // The first press only picks an item, so nothing is bought by accident
+                    if (index >= 0) {
+                        if (this.audio) this.audio.init();
+                        items[index].click();
+                    } else {
+                        index = 0;
+                    }
+                    break;
+                case 'b':
+                    this.menuBack(menu);
+                    break;
+                case 'start':
+                    if (this.audio) this.audio.init();
+                    if (menu === this.mainMenu) {
+                        this.start(parseSeed(this.seedInput.value));
+                    } else if (menu === this.gameOverScreen) {
+                        this.restart();
+                    } else if (menu === this.pauseMenu) {
+                        this.resume();
+                    }
+                    break;
+            }
+        });
+
+        this.setMenuFocus(items[index] || null);
+    }
+
+    /**
+     * Highlight the menu item picked with the d-pad
+     * @param {HTMLElement|null} item - Item to highlight
+     */
+    setMenuFocus(item) {
+        if (item === this.menuFocus) return;
+
+        if (this.menuFocus) {
+            this.menuFocus.classList.remove('pad-focus');
+        }
+        this.menuFocus = item;
+        if (item) {
+            item.classList.add('pad-focus');
+            if (item.focus) item.focus();
+        }
+    }
+
+    /**
+     * Back out of a menu (B button)
+     * @param {HTMLElement} menu - Open menu
+     */
+    menuBack(menu) {
+        if (menu === this.controlsView.screen) {
+            this.closeControls();
+        } else if (menu === this.shop.screen) {
+            this.closeShop();
+        } else if (menu === this.pauseMenu) {
+            if (this.settingsPanel.classList.contains('hidden')) {
+                this.resume();
+            } else {
+                this.showSettings(false);
+            }
+        } else if (menu === this.leaderboard.screen) {
+            this.leaderboard.hide();
+            this.mainMenu.classList.remove('hidden');
+        }
     }
 
     /**
      * Start the game
+     * @param {number|null} seed - RNG seed for the run, or null for a random one
      */
-    start() {
+    start(seed = null) {
         // Hide menu
         this.mainMenu.classList.add('hidden');
+        this.showReplayError(null);
+        this.hidePauseMenu();
 
-        // Initialize player
-        this.player = new Player(this.canvas.width / 2, this.canvas.height / 2);
+        // Replays bring the loadout they were recorded with
+        const loadout = this.replayPlayer ? this.replayPlayer.loadout : this.unlocks.getLoadout();
+        this.resetRun(seed === null ? createRandomSeed() : seed, loadout);
 
-        // Reset systems
-        this.bullets = [];
-        this.snakes = [];
-        this.ally = null;  // === NEW: Reset ally ===
-        this.leveling.reset();
-        this.powerupManager.reset(this.player, this.snakes);
+        // Record a live run's inputs for replays
+        if (!this.replayPlayer) {
+            this.recorder.begin(this.sim.seed, loadout);
+        }
+
+        // Show HUD
+        this.hud.show();
+
+        // Start game loop (replacing the loop of a run restarted mid-game)
+        this.running = true;
+        this.lastTime = performance.now();
+
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+        }
+        this.frameRequest = requestAnimationFrame(this.gameLoop);
+    }
+
+    /**
+     * Reset all run state for a seed (also used to rewind replays)
+     * @param {number} seed - RNG seed for the run
+     * @param {Array} loadout - Weapon IDs to start with unlocked
+     */
+    resetRun(seed, loadout = []) {
+        this.sim.reset(seed, loadout);
         this.hud.reset();
+        this.hud.hideBossBar();
 
         // === NEW: Initialize points ===
-        this.points = 0;
-        this.hud.updatePoints(this.points);
-        this.hud.initializePowerupToolbar(POWER_PACKS, this.handlePowerupActivation);
+        this.hud.updatePoints(this.sim.points);
+        this.hud.initializePowerupToolbar(POWER_PACKS, (id) => {
+            if (this.running) {
+                this.queueInput(['p', id]);
+            }
+        });
 
         // === NEW: Weapon Toolbar ===
+        // Clicking a locked weapon buys it (if affordable) and switches to it
         this.hud.initializeWeaponToolbar(WEAPONS, (id) => {
-            if (this.player) {
-                this.switchWeapon(id);
+            if (this.running) {
+                if (!this.sim.isWeaponUnlocked(id)) {
+                    this.queueInput(['l', id]);
+                }
+                this.queueInput(['w', id]);
             }
         });
-        this.hud.updateWeaponToolbar(this.player.currentWeapon.id);
-
-        // Show HUD
-        this.hud.show();
+        this.hud.updateWeaponToolbar(this.sim.player.currentWeapon.id);
+        this.hud.updateWeaponLocks(this.sim.points, this.sim.unlockedWeapons);
+        this.hud.updateKeyLabels(this.controls);
 
-        // Start game loop
-        this.running = true;
         this.gameOver = false;
-        this.lastTime = performance.now();
-        this.lastSpawnTime = this.lastTime;
+        this.awaitingPerk = false;
+        this.accumulator = 0;
+        this.inputQueue = [];
+        this.lastPadAction = null;
+        this.lastTap = null;
+        this.joysticks.reset();
+        this.blasts = [];
+    }
 
-        requestAnimationFrame(this.gameLoop);
+    /**
+     * Pick a level-up perk; the simulation resumes on the next step
+     * @param {string} perkId - Perk ID
+     */
+    choosePerk(perkId) {
+        if (!this.awaitingPerk || this.paused) return;
+
+        this.awaitingPerk = false;
+        this.hud.hidePerkChoice();
+        this.queueInput(['u', perkId]);
     }
 
     /**
-     * Restart the game
+     * Pause a live run: the simulation, and with it power-up timers,
+     * the ally's lifespan and fire cooldowns, stops stepping
      */
-    restart() {
-        this.gameOverScreen.classList.add('hidden');
-        this.start();
+    pause() {
+        if (!this.running || this.gameOver || this.paused || this.replayPlayer) return;
+
+        this.paused = true;
+
+        // Let go of the trigger and movement so nothing is held on resume
+        const player = this.sim.player;
+        this.queueInput(['a', player.mouseX, player.mouseY, false]);
+        ['up', 'down', 'left', 'right'].forEach(control => {
+            this.queueInput(['k', control, false]);
+        });
+        this.queueInput(['g', 0, 0, 0, 0, false]);
+        this.lastPadAction = null;
+        this.joysticks.reset();
+
+        this.showSettings(false);
+        this.pauseMenu.classList.remove('hidden');
+    }
+
+    /**
+     * Resume a paused run
+     */
+    resume() {
+        if (!this.paused) return;
+        this.hidePauseMenu();
+    }
+
+    /**
+     * Hide the pause overlay and clear the paused state
+     */
+    hidePauseMenu() {
+        this.paused = false;
+        this.pauseMenu.classList.add('hidden');
+        this.shop.hide();
+    }
+
+    /**
+     * Check if the shop can open without the pause menu - only between waves
+     * @returns {boolean} True during a wave's rest break
+     */
+    canOpenShop() {
+        return this.running && !this.gameOver && !this.awaitingPerk && !this.replayPlayer &&
+            this.sim.waveDirector.isResting();
+    }
+
+    /**
+     * Open the upgrade shop; the run stays paused while it's open
+     * @param {boolean} fromPause - Opened from the pause menu (allowed any time)
+     */
+    openShop(fromPause) {
+        if (this.shop.isOpen()) return;
+        if (fromPause ? !this.paused : !this.canOpenShop()) return;
+
+        this.pause();
+        this.shopFromPause = fromPause;
+        this.pauseMenu.classList.add('hidden');
+        this.shop.show(this.sim.points, this.sim.powerupManager);
     }
 
     /**
-     * Handle power-up activation attempt
+     * Close the shop, back to the pause menu or the game
+     */
+    closeShop() {
+        if (!this.shop.isOpen()) return;
+
+        this.shop.hide();
+        if (this.shopFromPause) {
+            this.pauseMenu.classList.remove('hidden');
+        } else {
+            this.resume();
+        }
+    }
+
+    /**
+     * Buy a pack's next upgrade tier
+     * Applied right away (the run is paused) and recorded for this tick,
+     * which is where the next step would have picked it up
      * @param {string} packId - ID of the power pack
      */
-    handlePowerupActivation(packId) {
-        if (!this.running || this.gameOver) return;
+    buyUpgrade(packId) {
+        if (!this.shop.isOpen() || this.replayPlayer) return;
 
-        // Find pack by ID
-        const pack = Object.values(POWER_PACKS).find(p => p.id === packId);
-        if (!pack) return;
+        const action = ['s', packId];
+        this.recorder.record(this.sim.tick, action);
+        this.sim.applyInput(action);
+    }
 
-        // Check conditions
-        if (this.points < pack.cost) return;
-        if (this.powerupManager.hasActivePowerup()) return;
+    /**
+     * Switch the pause overlay between its buttons and the settings panel
+     * @param {boolean} visible - True to show settings
+     */
+    showSettings(visible) {
+        this.pauseButtons.classList.toggle('hidden', visible);
+        this.settingsPanel.classList.toggle('hidden', !visible);
+    }
 
-        // Activate
-        this.points -= pack.cost;
-        this.hud.updatePoints(this.points);
-        this.powerupManager.activate(pack, this.player, this.snakes);
-        this.hud.showPowerupNotification(pack.name);
-        this.audio.play('powerup');
+    /**
+     * Open the key bindings screen
+     * @param {HTMLElement} returnScreen - Screen to show again when it closes
+     */
+    openControls(returnScreen) {
+        this.controlsReturnScreen = returnScreen;
+        returnScreen.classList.add('hidden');
+        this.controlsView.show();
+    }
+
+    /**
+     * Close the key bindings screen
+     */
+    closeControls() {
+        this.controlsView.hide();
+        this.controlsReturnScreen.classList.remove('hidden');
+    }
+
+    /**
+     * Abandon the run and go back to the main menu
+     */
+    quitToMenu() {
+        this.running = false;
+        this.gameOver = false;
+        this.hidePauseMenu();
+        this.hud.hide();
+        this.hud.hideBossBar();
+        this.hud.hidePerkChoice();
+        this.mainMenu.classList.remove('hidden');
+    }
 
-        // Update toolbar
-        this.hud.updatePowerupToolbar(this.points, this.powerupManager.activePowerups);
+    /**
+     * Restart the game
+     * @param {number|null} seed - Seed to replay, or null for a new one
+     */
+    restart(seed = null) {
+        this.gameOverScreen.classList.add('hidden');
+        this.start(seed);
     }
 
     /**
      * Main game loop
+     * Runs the simulation in fixed steps and renders between them,
+     * so gameplay is the same at any display refresh rate
      * @param {number} currentTime - Current timestamp
      */
     gameLoop(currentTime) {
         if (!this.running) return;
 
+        // A menu pick may end the run, or restart it with a loop of its own
+        const frame = this.frameRequest;
+        this.pollGamepad();
+        if (!this.running || this.frameRequest !== frame) return;
+
         // Calculate delta time
         const deltaTime = (currentTime - this.lastTime) / 1000;
         this.lastTime = currentTime;
 
-        // Cap delta time to prevent large jumps
-        const cappedDelta = Math.min(deltaTime, 0.1);
+        // Cap frame time so a stall doesn't trigger a burst of catch-up steps.
+        // Replays run faster, slower or not at all; a paused run doesn't step.
+        let rate = this.replayPlayer ? this.replayPlayer.getRate() : 1;
+        if (this.paused || this.awaitingPerk) {
+            rate = 0;
+        }
+        this.accumulator += Math.min(deltaTime, GAME_CONSTANTS.MAX_FRAME_TIME) * rate;
+
+        // Update in fixed steps
+        while (this.accumulator >= this.timestep && this.running && !this.gameOver) {
+            this.step();
+            this.accumulator -= this.timestep;
+        }
+        this.updateHud();
+        this.nukeFlash = Math.max(0, this.nukeFlash - deltaTime);
+        this.blasts.forEach(blast => { blast.age += deltaTime; });
+        this.blasts = this.blasts.filter(blast => blast.age < blast.ringTime);
+
+        if (this.benchmark) {
+            this.benchmark.timer += deltaTime;
+            if (this.benchmark.timer >= this.benchmark.interval) {
+                this.benchmark.timer = 0;
+                this.runCollisionBenchmark();
+            }
+        }
 
-        // Update
-        this.update(cappedDelta, currentTime);
+        // Render, blending between the last two steps
+        this.render(this.gameOver ? 1 : this.accumulator / this.timestep);
 
-        // Render
-        this.render();
+        if (this.replayPlayer) {
+            this.replayControls.updateProgress(this.sim.tick);
+        }
 
         // Continue loop
-        requestAnimationFrame(this.gameLoop);
+        this.frameRequest = requestAnimationFrame(this.gameLoop);
     }
 
     /**
-     * Update game state
-     * @param {number} deltaTime - Time since last frame
-     * @param {number} currentTime - Current timestamp
+     * Advance the simulation by one fixed step
      */
-    update(deltaTime, currentTime) {
-        // Update player
-        const newBullet = this.player.update(deltaTime, this.canvas.width, this.canvas.height);
-        if (newBullet) {
-            if (Array.isArray(newBullet)) {
-                this.bullets.push(...newBullet);
-            } else {
-                this.bullets.push(newBullet);
-            }
-            this.audio.play('shoot');
-        }
-
-        // Update power-ups (pass snakes for freeze expiration)
-        this.powerupManager.update(deltaTime, this.player, this.snakes);
-
-        // === NEW: Handle ally spawning from Call for Help ===
-        if (this.powerupManager.pendingAllySpawn && !this.ally) {
-            this.ally = new Ally(
-                this.canvas.width,
-                this.canvas.height,
-                this.player.currentWeapon
-            );
-            this.powerupManager.pendingAllySpawn = false;
-            this.audio.play('allySpawn');
-        }
-
-        // === NEW: Update ally if active ===
-        if (this.ally) {
-            const allyBullets = this.ally.update(deltaTime, this.snakes);
-            if (allyBullets) {
-                if (Array.isArray(allyBullets)) {
-                    this.bullets.push(...allyBullets);
-                } else {
-                    this.bullets.push(allyBullets);
-                }
-                this.audio.play('shoot');
-            }
+    step() {
+        this.sim.step(this.takeInputs());
 
-            // Check if ally despawned
-            if (!this.ally.active) {
-                this.ally = null;
-                this.audio.play('allyDespawn');
-                // Remove callForHelp from active powerups
-                this.powerupManager.activePowerups.delete('callForHelp');
-                this.powerupManager.updateHud();
-                this.hud.updatePowerupToolbar(this.points, this.powerupManager.activePowerups);
-            } else {
-                // Update remaining time display based on ally lifespan
-                const callForHelpPowerup = this.powerupManager.activePowerups.get('callForHelp');
-                if (callForHelpPowerup) {
-                    callForHelpPowerup.remainingTime = this.ally.getRemainingTime();
-                }
-            }
+        if (this.sim.gameOver && !this.gameOver) {
+            this.endGame();
         }
 
-        // Spawn snakes
-        this.spawnSnakes(currentTime);
+        // A replay that outlives its recording has drifted - stop it there
+        if (this.replayPlayer && !this.gameOver && this.replayPlayer.isFinished(this.sim.tick)) {
+            this.endGame();
+        }
+    }
 
-        // Update bullets
-        this.bullets = this.bullets.filter(bullet => {
-            bullet.update(deltaTime, this.canvas.width, this.canvas.height);
-            return bullet.active;
-        });
+    /**
+     * Run the simulation's collision benchmark; render() draws the latest report
+     * @returns {Object} Benchmark report
+     */
+    runCollisionBenchmark() {
+        const report = this.sim.runCollisionBenchmark();
 
-        // Update snakes
-        this.snakes.forEach(snake => {
-            snake.update(deltaTime, this.player.x, this.player.y);
-        });
+        if (this.benchmark) {
+            this.benchmark.report = report;
+        }
+        return report;
+    }
 
-        // Check collisions
-        this.checkCollisions();
+    /**
+     * End the game
+     */
+    endGame() {
+        this.gameOver = true;
 
-        // Remove inactive snakes
-        this.snakes = this.snakes.filter(snake => snake.active);
+        // Replays stay on the final frame so they can be scrubbed
+        if (this.replayPlayer) {
+            this.replayPlayer.paused = true;
+            this.replayControls.setPaused(true);
+            return;
+        }
 
-        // Update HUD
-        this.hud.updateHealth(this.player.health, this.player.maxHealth);
-        this.hud.updateScore(this.leveling.score);
-        this.hud.updateKills(this.leveling.totalKills);
+        this.running = false;
 
-        // Check for game over
-        if (!this.player.active) {
-            this.endGame();
-        }
+        // Keep the run's inputs for "Watch replay" and "Download replay"
+        this.lastReplay = this.recorder.finish(this.sim.tick, {
+            score: this.sim.leveling.score,
+            level: this.sim.leveling.level,
+            kills: this.sim.leveling.totalKills
+        });
+
+        // Update game over screen
+        document.getElementById('final-score').textContent = this.sim.leveling.score.toLocaleString();
+        document.getElementById('final-level').textContent = this.sim.leveling.level;
+        document.getElementById('final-kills').textContent = this.sim.leveling.totalKills;
+        document.getElementById('final-seed').textContent = this.sim.seed;
+
+        this.recordRun();
+
+        // Show game over screen
+        this.gameOverScreen.classList.remove('hidden');
+        this.hud.hide();
+        this.hud.hideBossBar();
     }
 
     /**
-     * Spawn snakes based on timing and difficulty
-     * @param {number} currentTime - Current timestamp
+     * Save the finished run to the history and leaderboard, and show
+     * the new-record callout and initials entry if it placed
      */
-    spawnSnakes(currentTime) {
-        const difficulty = this.leveling.getDifficultyInfo();
-
-        // Check if it's time to spawn and we're under the limit
-        if (currentTime - this.lastSpawnTime >= difficulty.spawnRate &&
-            this.snakes.length < difficulty.maxSnakes) {
+    recordRun() {
+        const sim = this.sim;
+        const result = this.scoreBoard.addRun({
+            score: sim.leveling.score,
+            level: sim.leveling.level,
+            kills: sim.leveling.totalKills,
+            duration: Math.round(sim.time),
+            seed: sim.seed,
+            weapons: { ...sim.weaponShots }
+        });
+        this.lastRun = result.entry;
 
-            this.snakes.push(new Snake(
-                this.canvas.width,
-                this.canvas.height,
-                this.leveling.level
-            ));
-            this.lastSpawnTime = currentTime;
+        const callout = document.getElementById('new-record');
+        if (result.isRecord) {
+            callout.textContent = 'NEW HIGH SCORE!';
+        } else if (result.rank >= 0) {
+            callout.textContent = `#${result.rank + 1} ON THE LEADERBOARD`;
         }
+        callout.classList.toggle('hidden', result.rank < 0);
+
+        this.initialsField.classList.toggle('hidden', result.rank < 0);
+        this.initialsInput.value = result.entry.initials;
     }
 
+    // =====================================================
+    // REPLAY VIEWER
+    // =====================================================
+
     /**
-     * Check all collisions
+     * Watch a recorded run
+     * @param {Object} data - Replay data
+     * @param {HTMLElement} returnScreen - Screen to show when the viewer closes
      */
-    checkCollisions() {
-        const playerBounds = this.player.getCollisionBounds();
+    startReplay(data, returnScreen) {
+        this.replayReturnScreen = returnScreen;
+        returnScreen.classList.add('hidden');
 
-        // Check bullet-snake collisions
-        this.bullets.forEach(bullet => {
-            if (!bullet.active) return;
-            const bulletBounds = bullet.getCollisionBounds();
+        this.replayPlayer = new ReplayPlayer(data);
+        this.replayControls.show(this.replayPlayer.totalTicks);
+        this.start(data.seed);
+    }
 
-            this.snakes.forEach(snake => {
-                if (!snake.active) return;
-                const snakeBounds = snake.getCollisionBounds();
+    /**
+     * Read a replay file chosen from the main menu and play it
+     * @param {File} file - JSON replay file
+     */
+    loadReplayFile(file) {
+        this.showReplayError(null);
+
+        // Only a failed read is reported as one; errors starting playback aren't swallowed
+        file.text().then(text => {
+            let data = null;
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                data = null;
+            }
 
-                if (circleCollision(bulletBounds, snakeBounds)) {
-                    bullet.destroy();
-                    const killed = snake.takeDamage(bullet.damage);
+            const error = ReplayPlayer.validate(data);
+            if (error) {
+                this.showReplayError(error);
+                return;
+            }
+            this.startReplay(data, this.mainMenu);
+        }, () => {
+            this.showReplayError('Could not read that file.');
+        });
+    }
 
-                    if (killed) {
-                        this.audio.play('hit');
-                        this.leveling.addXp(snake.xpValue);
+    /**
+     * Show why a replay file couldn't be played, under the main menu's replay buttons
+     * @param {string|null} message - Error text, or null to clear it
+     */
+    showReplayError(message) {
+        this.replayError.textContent = message || '';
+        this.replayError.classList.toggle('hidden', !message);
+    }
 
-                        // === NEW: Health Regen every 5 kills ===
-                        if (this.leveling.totalKills > 0 && this.leveling.totalKills % 5 === 0) {
-                            const healAmount = 20; // Heal 20 HP
-                            if (this.player.health < this.player.maxHealth) {
-                                this.player.heal(healAmount);
-                                this.hud.showHealNotification(healAmount);
-                            }
-                        }
+    /**
+     * Pause or resume replay playback
+     */
+    toggleReplayPause() {
+        if (!this.replayPlayer) return;
+        this.replayPlayer.paused = !this.replayPlayer.paused;
+        this.replayControls.setPaused(this.replayPlayer.paused);
+    }
 
-                        // === NEW: Points system ===
-                        this.points++;
-                        this.hud.updatePoints(this.points);
-                        this.hud.updatePowerupToolbar(this.points, this.powerupManager.activePowerups);
-                    }
-                }
-            });
-        });
+    /**
+     * Jump to a tick. Runs are only reproducible from the start,
+     * so seeking backwards re-simulates from tick 0.
+     * @param {number} targetTick - Tick to show
+     */
+    seekReplay(targetTick) {
+        const replay = this.replayPlayer;
+        if (!replay) return;
+
+        const target = clamp(Math.round(targetTick), 0, replay.totalTicks);
+        if (target < this.sim.tick) {
+            this.resetRun(replay.seed, replay.loadout);
+            replay.rewind();
+        }
 
-        // Check snake-player collisions
-        this.snakes.forEach(snake => {
-            if (!snake.active) return;
-            const snakeBounds = snake.getCollisionBounds();
+        // Fast-forward silently
+        this.audio.setMuted(true);
+        while (this.sim.tick < target && !this.gameOver) {
+            this.step();
+        }
+        this.audio.setMuted(false);
 
-            if (circleCollision(playerBounds, snakeBounds)) {
-                // === IMPROVED: Reduced snake damage ===
-                // Base damage 5 + size factor (was 10 + size)
-                const damage = 5 + Math.floor(snake.radius * 0.5);
-                this.player.takeDamage(damage);
+        this.accumulator = 0;
+        this.replayControls.updateProgress(this.sim.tick);
+    }
 
-                // Snake disappears after hitting player
-                snake.active = false;
-            }
-        });
+    /**
+     * Handle keys while watching a replay
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleReplayKey(e) {
+        const seekTicks = REPLAY_CONFIG.seekStep / this.timestep;
+
+        switch (e.code) {
+            case 'Space':
+                e.preventDefault();
+                this.toggleReplayPause();
+                break;
+            case 'ArrowLeft':
+                this.seekReplay(this.sim.tick - seekTicks);
+                break;
+            case 'ArrowRight':
+                this.seekReplay(this.sim.tick + seekTicks);
+                break;
+            case 'Escape':
+                this.exitReplay();
+                break;
+        }
     }
 
     /**
-     * End the game
+     * Close the replay viewer
      */
-    endGame() {
+    exitReplay() {
+        if (!this.replayPlayer) return;
+
         this.running = false;
         this.gameOver = true;
+        this.replayPlayer = null;
+        this.replayControls.hide();
+        this.hud.hide();
+        this.hud.hideBossBar();
+        this.replayReturnScreen.classList.remove('hidden');
+    }
 
-        // Update game over screen
-        document.getElementById('final-score').textContent = this.leveling.score.toLocaleString();
-        document.getElementById('final-level').textContent = this.leveling.level;
-        document.getElementById('final-kills').textContent = this.leveling.totalKills;
+    /**
+     * Render an entity where it was `alpha` of the way through the
+     * current step. Entities spawned this step have no previous position.
+     * @param {Object} entity - Anything with x, y and render(ctx)
+     * @param {number} alpha - Blend from previous (0) to current (1) position
+     */
+    renderInterpolated(entity, alpha) {
+        const ctx = this.ctx;
+        if (entity.prevX === undefined || alpha >= 1) {
+            entity.render(ctx);
+            return;
+        }
 
-        // Show game over screen
-        this.gameOverScreen.classList.remove('hidden');
-        this.hud.hide();
+        ctx.save();
+        ctx.translate((entity.prevX - entity.x) * (1 - alpha), (entity.prevY - entity.y) * (1 - alpha));
+        entity.render(ctx);
+        ctx.restore();
     }
 
     /**
      * Render the game
+     * @param {number} alpha - Progress through the current simulation step (0-1)
      */
-    render() {
+    render(alpha = 1) {
         const ctx = this.ctx;
 
         // Clear canvas
@@ -663,18 +1623,62 @@ class Game {
         this.drawGrid();
 
         // Draw game entities
-        this.bullets.forEach(bullet => bullet.render(ctx));
-        this.snakes.forEach(snake => snake.render(ctx));
+        this.sim.pickups.forEach(pickup => pickup.render(ctx));
+        this.sim.bullets.forEach(bullet => this.renderInterpolated(bullet, alpha));
+        this.sim.snakes.forEach(snake => this.renderInterpolated(snake, alpha));
+        this.sim.enemyProjectiles.forEach(projectile => this.renderInterpolated(projectile, alpha));
 
         // === NEW: Render ally if active ===
-        if (this.ally) {
-            this.ally.render(ctx);
+        if (this.sim.ally) {
+            this.renderInterpolated(this.sim.ally, alpha);
         }
 
-        this.player.render(ctx);
+        this.renderInterpolated(this.sim.player, alpha);
+        this.drawBlasts();
 
         // Draw vignette effect
         this.drawVignette();
+
+        // Warnings for snakes still off screen, and the minimap
+        this.radar.render(ctx, this.sim);
+
+        // Touch sticks on top of the world
+        this.joysticks.render(ctx);
+
+        if (this.nukeFlash > 0) {
+            ctx.fillStyle = `rgba(255, 240, 220, ${this.nukeFlash / PICKUP_CONFIG.nukeFlashTime * 0.7})`;
+            ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+
+        if (this.benchmark && this.benchmark.report) {
+            this.drawBenchmarkReport(this.benchmark.report);
+        }
+    }
+
+    /**
+     * Draw the latest collision benchmark numbers
+     * @param {Object} report - Report from runCollisionBenchmark
+     */
+    drawBenchmarkReport(report) {
+        const ctx = this.ctx;
+        const lines = [
+            `BENCHMARK  ${report.bullets} bullets x ${report.snakes} snakes`,
+            `brute ${report.bruteMs.toFixed(3)}ms  hash ${report.hashMs.toFixed(3)}ms`,
+            `speedup ${report.speedup.toFixed(2)}x  ${report.match ? 'results match' : 'RESULTS DIFFER'}`
+        ];
+
+        // Sit above the radar minimap when it's showing in the same corner
+        const minimap = RADAR_CONFIG.minimap;
+        const bottom = this.radar.enabled ?
+            this.canvas.height - minimap.margin * 2 - minimap.radius * 2 : this.canvas.height - 94;
+
+        ctx.save();
+        ctx.font = '14px monospace';
+        ctx.fillStyle = report.match ? 'rgba(0, 255, 136, 0.9)' : 'rgba(255, 51, 102, 0.9)';
+        lines.forEach((line, i) => {
+            ctx.fillText(line, 16, bottom - (lines.length - 1 - i) * 18);
+        });
+        ctx.restore();
     }
 
     /**
@@ -704,6 +1708,42 @@ class Game {
         }
     }
 
+    /**
+     * Draw explosion rings - a flash that expands to the blast radius and fades
+     */
+    drawBlasts() {
+        const ctx = this.ctx;
+
+        this.blasts.forEach(blast => {
+            const t = blast.age / blast.ringTime;
+            const radius = blast.radius * (0.2 + 0.8 * Math.sqrt(t));
+            const fade = 1 - t;
+
+            ctx.save();
+
+            // Fireball, gone in the first part of the ring's life
+            if (t < 0.4) {
+                const gradient = ctx.createRadialGradient(blast.x, blast.y, 0, blast.x, blast.y, radius);
+                gradient.addColorStop(0, `rgba(255, 240, 180, ${1 - t / 0.4})`);
+                gradient.addColorStop(0.5, `rgba(255, 120, 0, ${(1 - t / 0.4) * 0.7})`);
+                gradient.addColorStop(1, 'transparent');
+                ctx.fillStyle = gradient;
+                ctx.beginPath();
+                ctx.arc(blast.x, blast.y, radius, 0, Math.PI * 2);
+                ctx.fill();
+            }
+
+            // Shock ring
+            ctx.strokeStyle = `rgba(255, 170, 60, ${fade})`;
+            ctx.lineWidth = 2 + 6 * fade;
+            ctx.beginPath();
+            ctx.arc(blast.x, blast.y, radius, 0, Math.PI * 2);
+            ctx.stroke();
+
+            ctx.restore();
+        });
+    }
+
     /**
      * Draw vignette effect around edges
      */
@@ -0,0 +1,143 @@
+/**
+ * SNAKE KILLER - Gamepad Input
+ * Reads a controller through the Gamepad API once per frame: stick and
+ * trigger positions with dead zones applied, and which buttons went down
+ * since the last poll. Game turns these into input actions and menu moves.
+ *
+ * Buttons use the browser's "standard" layout (Xbox names):
+ *   left stick   move          right stick  aim
+ *   RT           fire          LT           dash
+ *   LB / RB      previous / next weapon
+ *   A B X Y      power packs   Start        pause
+ *   Back         shop          D-pad        menu navigation
+ */
+
+const GAMEPAD_CONFIG = {
+    deadZone: 0.2,          // Stick travel ignored around the center
+    triggerThreshold: 0.3,  // Trigger pull that counts as firing
+    precision: 100,         // Sticks are rounded to 1/precision, keeping replays small
+    // Standard mapping button indices
+    buttons: {
+        a: 0,
+        b: 1,
+        x: 2,
+        y: 3,
+        lb: 4,
+        rb: 5,
+        lt: 6,
+        rt: 7,
+        back: 8,
+        start: 9,
+        up: 12,
+        down: 13,
+        left: 14,
+        right: 15
+    },
+    // Face buttons, in POWER_PACKS order
+    packButtons: ['a', 'b', 'x', 'y']
+};
+
+/**
+ * GamepadInput class
+ * Tracks the connected controller and polls its state
+ */
+class GamepadInput {
+    constructor() {
+        this.index = null;      // navigator.getGamepads() slot in use
+        this.held = {};         // Button name -> pressed on the last poll
+
+        // Callbacks
+        this.onConnect = null;      // (id) => void
+        this.onDisconnect = null;   // () => void
+
+        window.addEventListener('gamepadconnected', (e) => this.connect(e.gamepad));
+        window.addEventListener('gamepaddisconnected', (e) => {
+            if (e.gamepad.index === this.index) this.disconnect();
+        });
+    }
+
+    /**
+     * Check if a controller is in use
+     * @returns {boolean} True while connected
+     */
+    isConnected() {
+        return this.index !== null;
+    }
+
+    /**
+     * Start using a controller
+     * @param {Gamepad} gamepad - Newly connected pad
+     */
+    connect(gamepad) {
+        if (this.index !== null) return;  // Keep the first one
+
+        this.index = gamepad.index;
+        this.held = {};
+        if (this.onConnect) this.onConnect(gamepad.id);
+    }
+
+    /**
+     * Stop using the current controller
+     */
+    disconnect() {
+        this.index = null;
+        this.held = {};
+        if (this.onDisconnect) this.onDisconnect();
+    }
+
+    /**
+     * Read the controller
+     * @returns {Object|null} {move, aim, fire, pressed}, or null with no
+     *   controller. move and aim are {x, y} in -1..1; pressed lists the
+     *   button names that went down since the last poll.
+     */
+    poll() {
+        const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+
+        // Pads plugged in before the page loaded only show up in the list
+        if (this.index === null) {
+            const found = Array.from(pads).find(pad => pad && pad.connected);
+            if (!found) return null;
+            this.connect(found);
+        }
+
+        const pad = pads[this.index];
+        if (!pad || !pad.connected) {
+            this.disconnect();
+            return null;
+        }
+
+        const pressed = [];
+        Object.entries(GAMEPAD_CONFIG.buttons).forEach(([name, index]) => {
+            const button = pad.buttons[index];
+            const down = !!button && button.pressed;
+            if (down && !this.held[name]) pressed.push(name);
+            this.held[name] = down;
+        });
+
+        const trigger = pad.buttons[GAMEPAD_CONFIG.buttons.rt];
+        return {
+            move: GamepadInput.readStick(pad.axes[0], pad.axes[1]),
+            aim: GamepadInput.readStick(pad.axes[2], pad.axes[3]),
+            fire: !!trigger && trigger.value >= GAMEPAD_CONFIG.triggerThreshold,
+            pressed
+        };
+    }
+
+    /**
+     * Apply the radial dead zone to a stick, rescaling the rest to 0..1
+     * @param {number} x - Raw X axis
+     * @param {number} y - Raw Y axis
+     * @returns {Object} {x, y}, rounded to GAMEPAD_CONFIG.precision
+     */
+    static readStick(x = 0, y = 0) {
+        const length = Math.hypot(x, y);
+        if (length < GAMEPAD_CONFIG.deadZone) {
+            return { x: 0, y: 0 };
+        }
+
+        const scale = Math.min(1, (length - GAMEPAD_CONFIG.deadZone) / (1 - GAMEPAD_CONFIG.deadZone)) / length;
+        const round = v => Math.round(v * scale * GAMEPAD_CONFIG.precision) / GAMEPAD_CONFIG.precision;
+        return { x: round(x), y: round(y) };
+    }
+}
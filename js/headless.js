@@ -0,0 +1,122 @@
+/**
+ * SNAKE KILLER - Headless Loader (Node only, not loaded by index.html)
+ * Loads the simulation scripts into a Node VM context so runs can be
+ * stepped without a browser - for balance and regression tests on CI.
+ *
+ *   const { createSimulation } = require('./js/headless');
+ *   const sim = createSimulation({ seed: 42 });
+ *   sim.run(600, s => s.tick === 0 ? [['a', 900, 400, true]] : []);
+ *   console.log(sim.getState());
+ *
+ * Level-ups put the world on hold until a perk is picked, so scripts that
+ * play long runs should answer sim.perkChoices with a ['u', perkId] action.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Scripts the simulation needs, in index.html order (no audio, HUD or Game)
+const SIMULATION_SCRIPTS = [
+    'utils.js',
+    'weapons.js',
+    'perks.js',
+    'bullet.js',
+    'snake.js',
+    'archetypes.js',
+    'boss.js',
+    'player.js',
+    'powerups.js',
+    'pickups.js',
+    'leveling.js',
+    'waves.js',
+    'ally.js',
+    'replay.js',
+    'simulation.js'
+];
+
+// Page globals handed back to Node callers
+const EXPORTED_GLOBALS = [
+    'Simulation',
+    'ReplayRecorder',
+    'ReplayPlayer',
+    'GAME_CONSTANTS',
+    'WEAPONS',
+    'PERKS',
+    'POWER_PACKS',
+    'POWERUP_TYPES',
+    'PICKUP_CONFIG',
+    'AMMO_PICKUP',
+    'SNAKE_ARCHETYPES',
+    'BOSS_CONFIG',
+    'WAVE_PATTERNS',
+    'rng',
+    'parseSeed',
+    'createRandomSeed'
+];
+
+/**
+ * Load a fresh copy of the game scripts
+ * Each call gets its own globals (RNG, bullet pool), so runs don't interfere
+ * @returns {Object} Exported game globals, keyed by name
+ */
+function loadGame() {
+    const context = vm.createContext({ console, performance });
+
+    SIMULATION_SCRIPTS.forEach(file => {
+        const filename = path.join(__dirname, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    // Top-level const/class declarations aren't properties of the context
+    const game = {};
+    EXPORTED_GLOBALS.forEach(name => {
+        game[name] = vm.runInContext(name, context);
+    });
+    return game;
+}
+
+/**
+ * Create a simulation ready to step
+ * @param {Object} options - {seed, loadout, width, height}, all optional
+ * @returns {Simulation} Simulation reset to tick 0
+ */
+function createSimulation(options = {}) {
+    const game = loadGame();
+    const sim = new game.Simulation(
+        options.width || game.GAME_CONSTANTS.CANVAS_WIDTH,
+        options.height || game.GAME_CONSTANTS.CANVAS_HEIGHT
+    );
+
+    const seed = options.seed === undefined ? game.createRandomSeed() : options.seed;
+    sim.reset(seed, options.loadout);
+    return sim;
+}
+
+/**
+ * Play a recorded replay to the end
+ * @param {Object} data - Replay data (parsed replay JSON)
+ * @returns {Object} Final simulation state
+ */
+function runReplay(data) {
+    const game = loadGame();
+    if (!game.ReplayPlayer.isValid(data)) {
+        throw new Error('Unsupported replay data');
+    }
+
+    const sim = new game.Simulation();
+    const replay = new game.ReplayPlayer(data);
+    sim.reset(replay.seed, replay.loadout);
+
+    while (!sim.gameOver && !replay.isFinished(sim.tick)) {
+        sim.step(replay.takeActions(sim.tick));
+    }
+    return sim.getState();
+}
+
+module.exports = {
+    SIMULATION_SCRIPTS,
+    loadGame,
+    createSimulation,
+    runReplay
+};
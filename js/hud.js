@@ -3,6 +3,13 @@
  * Manages all UI updates during gameplay
  */
 
+// Toolbar text for buying a pack that's already running
+const POWERUP_STACKING_LABELS = {
+    extend: 'EXTEND',
+    refresh: 'REFRESH',
+    queue: 'QUEUE'
+};
+
 class HUD {
     constructor() {
         // Get DOM elements
@@ -21,6 +28,7 @@ class HUD {
         this.scoreText = document.getElementById('score-text');
         this.killsText = document.getElementById('kills-text');
         this.pointsText = document.getElementById('points-text');
+        this.waveText = document.getElementById('wave-text');
 
         // Power-ups
         // Mapped to 'active-effects-container' now
@@ -31,6 +39,23 @@ class HUD {
         this.levelUpNotification = document.getElementById('level-up-notification');
         this.powerupNotification = document.getElementById('powerup-notification');
         this.powerupName = document.getElementById('powerup-name');
+        this.waveNotification = document.getElementById('wave-notification');
+        this.waveTitle = document.getElementById('wave-title');
+        this.waveName = document.getElementById('wave-name');
+
+        // Boss health bar
+        this.bossBar = document.getElementById('boss-bar');
+        this.bossName = document.getElementById('boss-name');
+        this.bossHealthFill = document.getElementById('boss-health-fill');
+
+        // Dash cooldown
+        this.dashMeter = document.getElementById('dash-meter');
+        this.dashBar = document.getElementById('dash-bar');
+
+        // Perks
+        this.perksContainer = document.getElementById('hud-perks');
+        this.perkChoice = document.getElementById('perk-choice');
+        this.perkCards = document.getElementById('perk-cards');
 
         // === NEW: Heal notification ===
         this.healNotification = document.getElementById('heal-notification');
@@ -73,6 +98,7 @@ class HUD {
             btn.className = 'powerup-btn';
             btn.id = `btn-${pack.id}`;
             btn.dataset.cost = pack.cost;
+            btn.dataset.stacking = pack.stacking;
 
             const activate = (e) => {
                 e.preventDefault();
@@ -83,8 +109,10 @@ class HUD {
             btn.addEventListener('click', activate);
 
             btn.innerHTML = `
+                <span class="pack-key"></span>
                 <span class="icon">${pack.icon}</span>
                 <span class="cost">${pack.cost} PTS</span>
+                <span class="tier-pips"></span>
                 <div class="powerup-progress"></div>
             `;
             this.powerupToolbar.appendChild(btn);
@@ -94,32 +122,42 @@ class HUD {
     /**
      * Update toolbar visual state
      * @param {number} points 
-     * @param {Map} activePowerups 
+     * @param {PowerupManager} powerupManager - Knows what's running, queued and stackable
      */
-    updatePowerupToolbar(points, activePowerups) {
+    updatePowerupToolbar(points, powerupManager) {
         if (!this.powerupToolbar) return;
         const buttons = this.powerupToolbar.querySelectorAll('.powerup-btn');
-        const anyActive = activePowerups.size > 0;
 
         buttons.forEach(btn => {
             const packId = btn.id.replace('btn-', '');
-            const cost = parseInt(btn.dataset.cost);
-            const isActive = activePowerups.has(packId);
+            const pack = Object.values(POWER_PACKS).find(p => p.id === packId);
+            const isActive = powerupManager.isActive(packId);
+            const queued = powerupManager.getQueuedCount(packId);
+            const cost = powerupManager.getPackCost(pack);
 
-            // Available if: enough points AND not active AND no other active
-            const isAvailable = points >= cost && !isActive && !anyActive;
+            // Available if: enough points AND the pack's stacking rule allows another
+            const isAvailable = points >= cost && powerupManager.canActivate(pack);
 
             btn.classList.toggle('active', isActive);
+            btn.classList.toggle('queued', queued > 0);
             btn.classList.toggle('available', isAvailable);
 
-            // Update status text
+            // Status text says what buying it now would do
             const costText = btn.querySelector('.cost');
-            if (isActive) {
-                costText.textContent = 'ACTIVE';
-            } else {
+            if (!isActive) {
                 costText.textContent = `${cost} PTS`;
+            } else if (queued > 0 && !isAvailable) {
+                costText.textContent = 'QUEUED';
+            } else if (isAvailable) {
+                costText.textContent = `${POWERUP_STACKING_LABELS[pack.stacking]} ${cost}`;
+            } else {
+                costText.textContent = 'ACTIVE';
             }
 
+            // Shop upgrades bought for this pack
+            btn.querySelector('.tier-pips').textContent =
+                '◆'.repeat(powerupManager.getTier(packId));
+
             // Visual dimming
             if (!isActive && !isAvailable) {
                 btn.style.opacity = '0.4';
@@ -178,6 +216,14 @@ class HUD {
         this.killsText.textContent = kills;
     }
 
+    /**
+     * Update wave counter
+     * @param {number} wave - Current wave number
+     */
+    updateWave(wave) {
+        this.waveText.textContent = wave;
+    }
+
     /**
      * Update active power-ups display
      * @param {Array} powerups - Array of active power-ups
@@ -192,11 +238,74 @@ class HUD {
             element.innerHTML = `
                 <span class="icon">${powerup.icon}</span>
                 <span class="timer" style="color: ${powerup.color}">${Math.ceil(powerup.remainingTime)}s</span>
+                ${powerup.queued ? `<span class="queued">+${powerup.queued}</span>` : ''}
             `;
             this.powerupsContainer.appendChild(element);
         });
     }
 
+    /**
+     * Show the perks taken so far with their stack counts
+     * @param {Object} perks - Perk id -> stacks
+     */
+    updatePerks(perks) {
+        this.perksContainer.innerHTML = '';
+
+        Object.keys(perks).forEach(id => {
+            const perk = getPerk(id);
+            const element = document.createElement('div');
+            element.className = 'perk-icon';
+            element.title = `${perk.name}: ${perk.description}`;
+            element.innerHTML = `
+                <span class="icon">${perk.icon}</span>
+                <span class="stacks">${perks[id]}</span>
+            `;
+            this.perksContainer.appendChild(element);
+        });
+    }
+
+    /**
+     * Offer a choice of perks
+     * @param {string[]} choices - Perk IDs on offer
+     * @param {Object} perks - Perks already taken (perk id -> stacks)
+     * @param {Function} callback - Called with the chosen perk ID
+     */
+    showPerkChoice(choices, perks, callback) {
+        this.perkCards.innerHTML = '';
+
+        choices.forEach((id, i) => {
+            const perk = getPerk(id);
+            const card = document.createElement('div');
+            card.className = 'perk-card';
+
+            const choose = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                callback(id);
+            };
+            card.addEventListener('touchstart', choose, { passive: false });
+            card.addEventListener('click', choose);
+
+            card.innerHTML = `
+                <span class="perk-key">${i + 1}</span>
+                <span class="icon">${perk.icon}</span>
+                <span class="perk-name">${perk.name}</span>
+                <span class="perk-description">${perk.description}</span>
+                <span class="perk-stacks">${perks[id] || 0} / ${perk.maxStacks}</span>
+            `;
+            this.perkCards.appendChild(card);
+        });
+
+        this.perkChoice.classList.remove('hidden');
+    }
+
+    /**
+     * Close the perk choice
+     */
+    hidePerkChoice() {
+        this.perkChoice.classList.add('hidden');
+    }
+
     /**
      * Show level up notification
      */
@@ -209,6 +318,62 @@ class HUD {
         }, 2000);
     }
 
+    /**
+     * Show "WAVE N" banner
+     * @param {number} wave - Wave number
+     * @param {string} name - Wave pattern name
+     */
+    showWaveBanner(wave, name) {
+        this.showBanner(`WAVE ${wave}`, name);
+    }
+
+    /**
+     * Show the big center banner (waves, boss arrival)
+     * @param {string} title - Large title text
+     * @param {string} subtitle - Smaller text under the title
+     */
+    showBanner(title, subtitle) {
+        this.waveTitle.textContent = title;
+        this.waveName.textContent = subtitle;
+        this.waveNotification.classList.remove('hidden');
+
+        // Restart animation
+        this.waveNotification.style.animation = 'none';
+        this.waveNotification.offsetHeight; /* trigger reflow */
+        this.waveNotification.style.animation = '';
+
+        clearTimeout(this.waveBannerTimeout);
+        this.waveBannerTimeout = setTimeout(() => {
+            this.waveNotification.classList.add('hidden');
+        }, 2500);
+    }
+
+    /**
+     * Show the boss health bar
+     * @param {string} name - Boss name
+     */
+    showBossBar(name) {
+        this.bossName.textContent = name;
+        this.bossHealthFill.style.width = '100%';
+        this.bossBar.classList.remove('hidden');
+    }
+
+    /**
+     * Update the boss health bar
+     * @param {number} current - Current boss health
+     * @param {number} max - Maximum boss health
+     */
+    updateBossHealth(current, max) {
+        this.bossHealthFill.style.width = `${(current / max) * 100}%`;
+    }
+
+    /**
+     * Hide the boss health bar
+     */
+    hideBossBar() {
+        this.bossBar.classList.add('hidden');
+    }
+
     /**
      * Show power-up notification
      * @param {string} name - Power-up name
@@ -277,11 +442,18 @@ class HUD {
             btn.id = `weapon-${w.id}`;
             btn.dataset.weaponId = w.id;
             btn.title = `${w.name} - ${w.description}`;
+            if (w.unlock) {
+                btn.title += ` (unlocks at level ${w.unlock.level}, or buy for ${w.unlock.cost} points)`;
+            }
 
             // Create icon and name elements for visual tile
             btn.innerHTML = `
+                <span class="weapon-key"></span>
                 <span class="weapon-icon">${w.icon}</span>
                 <span class="weapon-name">${w.name}</span>
+                <span class="weapon-ammo"></span>
+                <span class="weapon-unlock">${w.unlock ? `LV${w.unlock.level}·${w.unlock.cost}P` : ''}</span>
+                <div class="weapon-reload"></div>
             `;
 
             /**
@@ -356,6 +528,106 @@ class HUD {
         });
     }
 
+    /**
+     * Show each weapon's and power pack's key on its toolbar button, and the
+     * shop and pause keys in their buttons' tooltips
+     * @param {ControlBindings} controls - Current key bindings
+     */
+    updateKeyLabels(controls) {
+        Object.values(WEAPONS).forEach(weapon => {
+            const label = document.querySelector(`#weapon-${weapon.id} .weapon-key`);
+            if (label) label.textContent = controls.getLabel(`weapon:${weapon.id}`);
+        });
+        Object.values(POWER_PACKS).forEach(pack => {
+            const label = document.querySelector(`#btn-${pack.id} .pack-key`);
+            if (label) label.textContent = controls.getLabel(`pack:${pack.id}`);
+        });
+
+        // Tooltips on the HUD buttons name their keys, when they have any
+        [['shop-toggle', 'Shop between waves', 'shop'], ['pause-toggle', 'Pause', 'pause']].forEach(([id, text, action]) => {
+            const btn = document.getElementById(id);
+            const keys = controls.getKeys(action).filter(k => k).map(ControlBindings.keyLabel).join(' / ');
+            if (btn) btn.title = keys ? `${text} (${keys})` : text;
+        });
+    }
+
+    /**
+     * Check if a screen point is on (or right next to) the power-pack or
+     * weapon toolbar, whose gaps let touches through to the canvas
+     * @param {number} clientX - Viewport X
+     * @param {number} clientY - Viewport Y
+     * @returns {boolean} True over a toolbar
+     */
+    isOverToolbar(clientX, clientY) {
+        const margin = 10;
+        return [this.powerupToolbar, document.getElementById('weapon-toolbar')].some(toolbar => {
+            if (!toolbar) return false;
+            const rect = toolbar.getBoundingClientRect();
+            if (rect.width === 0) return false;     // Hidden
+            return clientX >= rect.left - margin && clientX <= rect.right + margin &&
+                clientY >= rect.top - margin && clientY <= rect.bottom + margin;
+        });
+    }
+
+    /**
+     * Mark the weapons still locked this run, and which of them can be bought
+     * @param {number} points - Points to spend
+     * @param {Set} unlockedWeapons - IDs of weapons unlocked so far
+     */
+    updateWeaponLocks(points, unlockedWeapons) {
+        const container = document.getElementById('weapon-toolbar');
+        if (!container) return;
+
+        Object.values(WEAPONS).forEach(weapon => {
+            const btn = container.querySelector(`#weapon-${weapon.id}`);
+            if (!btn) return;
+
+            const locked = !!weapon.unlock && !unlockedWeapons.has(weapon.id);
+            btn.classList.toggle('locked', locked);
+            btn.classList.toggle('buyable', locked && points >= weapon.unlock.cost);
+        });
+    }
+
+    /**
+     * Update the ammo readout on each weapon button
+     * @param {Player} player - Player holding the weapons
+     */
+    updateAmmo(player) {
+        const container = document.getElementById('weapon-toolbar');
+        if (!container) return;
+
+        Object.values(WEAPONS).forEach(weapon => {
+            const btn = container.querySelector(`#weapon-${weapon.id}`);
+            if (!btn) return;
+
+            const ammo = player.getAmmo(weapon);
+            const reserve = !ammo || ammo.reserve === Infinity ? '∞' : ammo.reserve;
+            const text = ammo ? `${ammo.magazine}/${reserve}` : '∞';
+
+            const readout = btn.querySelector('.weapon-ammo');
+            if (readout.textContent !== text) {
+                readout.textContent = text;
+            }
+
+            // Reload bar fills on the weapon in hand
+            const reloading = weapon === player.currentWeapon && player.isReloading();
+            btn.classList.toggle('reloading', reloading);
+            btn.classList.toggle('empty', !!ammo && ammo.magazine === 0 && ammo.reserve === 0);
+            btn.querySelector('.weapon-reload').style.width =
+                reloading ? `${player.getReloadProgress() * 100}%` : '0%';
+        });
+    }
+
+    /**
+     * Show how far the dash has recharged
+     * @param {Player} player - Player who dashes
+     */
+    updateDash(player) {
+        const charge = player.getDashCharge();
+        this.dashBar.style.width = `${charge * 100}%`;
+        this.dashMeter.classList.toggle('ready', charge >= 1);
+    }
+
     /**
      * Reset HUD to initial state
      */
@@ -364,6 +636,9 @@ class HUD {
         this.updateXp(0, 100, 1);
         this.updateScore(0);
         this.updateKills(0);
+        this.updateWave(0);
         this.powerupsContainer.innerHTML = '';
+        this.updatePerks({});
+        this.hidePerkChoice();
     }
 }
@@ -0,0 +1,211 @@
+/**
+ * SNAKE KILLER - Virtual Joysticks
+ * Twin-stick touch controls. A thumb landing on the left half of the canvas
+ * grabs the move stick, one on the right half grabs the aim stick, which
+ * fires while held. Sticks float: they're centered where the thumb lands
+ * and their base follows a thumb dragged past the edge.
+ *
+ * Game feeds touches in by touch.identifier, so both thumbs work at once,
+ * and sends the sticks to the simulation like gamepad sticks.
+ */
+
+const JOYSTICK_CONFIG = {
+    radius: 70,                 // Knob travel from the base center (canvas px)
+    knobRadius: 28,
+    baseColor: 'rgba(255, 255, 255, 0.12)',
+    ringColor: 'rgba(255, 255, 255, 0.35)',
+    moveColor: 'rgba(0, 255, 136, 0.6)',
+    aimColor: 'rgba(255, 51, 102, 0.6)'
+};
+
+/**
+ * VirtualStick class
+ * One floating stick, held by one touch
+ */
+class VirtualStick {
+    constructor() {
+        this.touchId = null;    // Identifier of the touch holding it
+        this.baseX = 0;
+        this.baseY = 0;
+        this.knobX = 0;
+        this.knobY = 0;
+    }
+
+    /**
+     * Check if a thumb is on the stick
+     * @returns {boolean} True while held
+     */
+    isHeld() {
+        return this.touchId !== null;
+    }
+
+    /**
+     * Put the stick under a new touch
+     * @param {number} touchId - Touch identifier
+     * @param {number} x - Canvas X
+     * @param {number} y - Canvas Y
+     */
+    grab(touchId, x, y) {
+        this.touchId = touchId;
+        this.baseX = this.knobX = x;
+        this.baseY = this.knobY = y;
+    }
+
+    /**
+     * Follow the thumb, dragging the base along past the edge
+     * @param {number} x - Canvas X
+     * @param {number} y - Canvas Y
+     */
+    drag(x, y) {
+        this.knobX = x;
+        this.knobY = y;
+
+        const dist = distance(this.baseX, this.baseY, x, y);
+        if (dist > JOYSTICK_CONFIG.radius) {
+            const pull = (dist - JOYSTICK_CONFIG.radius) / dist;
+            this.baseX += (x - this.baseX) * pull;
+            this.baseY += (y - this.baseY) * pull;
+        }
+    }
+
+    /**
+     * Let go of the stick
+     */
+    release() {
+        this.touchId = null;
+    }
+
+    /**
+     * Stick deflection, with the gamepad dead zone and rounding
+     * @returns {Object} {x, y} in -1..1
+     */
+    read() {
+        if (!this.isHeld()) return { x: 0, y: 0 };
+        return GamepadInput.readStick(
+            (this.knobX - this.baseX) / JOYSTICK_CONFIG.radius,
+            (this.knobY - this.baseY) / JOYSTICK_CONFIG.radius
+        );
+    }
+
+    /**
+     * Draw the base and knob
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {string} color - Knob color
+     */
+    render(ctx, color) {
+        ctx.save();
+
+        ctx.beginPath();
+        ctx.arc(this.baseX, this.baseY, JOYSTICK_CONFIG.radius, 0, Math.PI * 2);
+        ctx.fillStyle = JOYSTICK_CONFIG.baseColor;
+        ctx.fill();
+        ctx.strokeStyle = JOYSTICK_CONFIG.ringColor;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.arc(this.knobX, this.knobY, JOYSTICK_CONFIG.knobRadius, 0, Math.PI * 2);
+        ctx.fillStyle = color;
+        ctx.fill();
+
+        ctx.restore();
+    }
+}
+
+/**
+ * VirtualJoysticks class
+ * The move and aim sticks, and which touch holds which
+ */
+class VirtualJoysticks {
+    /**
+     * @param {number} width - Canvas width, split in half between the sticks
+     */
+    constructor(width) {
+        this.width = width;
+        this.move = new VirtualStick();
+        this.aim = new VirtualStick();
+    }
+
+    /**
+     * Hand a new touch to the stick on its side, if that stick is free
+     * @param {number} touchId - Touch identifier
+     * @param {number} x - Canvas X
+     * @param {number} y - Canvas Y
+     * @returns {boolean} True if a stick took the touch
+     */
+    start(touchId, x, y) {
+        const stick = x < this.width / 2 ? this.move : this.aim;
+        if (stick.isHeld()) return false;
+
+        stick.grab(touchId, x, y);
+        return true;
+    }
+
+    /**
+     * Move whichever stick a touch holds
+     * @param {number} touchId - Touch identifier
+     * @param {number} x - Canvas X
+     * @param {number} y - Canvas Y
+     */
+    moveTouch(touchId, x, y) {
+        const stick = this.getStick(touchId);
+        if (stick) stick.drag(x, y);
+    }
+
+    /**
+     * Release whichever stick a touch holds
+     * @param {number} touchId - Touch identifier
+     */
+    end(touchId) {
+        const stick = this.getStick(touchId);
+        if (stick) stick.release();
+    }
+
+    /**
+     * Let go of both sticks
+     */
+    reset() {
+        this.move.release();
+        this.aim.release();
+    }
+
+    /**
+     * Find the stick a touch is holding
+     * @param {number} touchId - Touch identifier
+     * @returns {VirtualStick|null} Stick, or null for other touches
+     */
+    getStick(touchId) {
+        if (this.move.touchId === touchId) return this.move;
+        if (this.aim.touchId === touchId) return this.aim;
+        return null;
+    }
+
+    /**
+     * Check if either stick is held
+     * @returns {boolean} True while a thumb is down
+     */
+    isActive() {
+        return this.move.isHeld() || this.aim.isHeld();
+    }
+
+    /**
+     * Current stick state, shaped like a gamepad poll
+     * @returns {Object} {move, aim, fire}
+     */
+    read() {
+        return {
+            move: this.move.read(),
+            aim: this.aim.read(),
+            fire: this.aim.isHeld()
+        };
+    }
+
+    /**
+     * Draw the held sticks
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    render(ctx) {
+        if (this.move.isHeld()) this.move.render(ctx, JOYSTICK_CONFIG.moveColor);
+        if (this.aim.isHeld()) this.aim.render(ctx, JOYSTICK_CONFIG.aimColor);
+    }
+}
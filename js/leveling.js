@@ -93,7 +93,8 @@ class LevelingSystem {
             healthMultiplier: 1 + (this.level - 1) * 0.2,
             speedMultiplier: 1 + (this.level - 1) * 0.1,
             spawnRate: this.getSpawnRate(),
-            maxSnakes: 10 + Math.floor(this.level * 2)
+            maxSnakes: 10 + Math.floor(this.level * 2),
+            waveSizeMultiplier: 1 + (this.level - 1) * 0.25
         };
     }
 
@@ -0,0 +1,93 @@
+/**
+ * SNAKE KILLER - Perk Configuration
+ * Permanent upgrades picked on level-up. Each perk stacks up to maxStacks;
+ * value is the effect of a single stack.
+ */
+
+const PERKS = {
+    VITALITY: {
+        id: 'vitality',
+        name: 'VITALITY',
+        icon: '❤️',
+        description: '+25 max health',
+        value: 25,          // Max health per stack
+        maxStacks: 5
+    },
+    SWIFT_FEET: {
+        id: 'swiftFeet',
+        name: 'SWIFT FEET',
+        icon: '👟',
+        description: '+10% move speed',
+        value: 0.1,         // Speed bonus per stack
+        maxStacks: 5
+    },
+    PIERCING_ROUNDS: {
+        id: 'piercingRounds',
+        name: 'PIERCING ROUNDS',
+        icon: '🎯',
+        description: 'Bullets pass through one more snake',
+        value: 1,           // Extra snakes per stack
+        maxStacks: 3
+    },
+    BUCKSHOT: {
+        id: 'buckshot',
+        name: 'BUCKSHOT',
+        icon: '💥',
+        description: '+2 shotgun pellets',
+        value: 2,           // Extra pellets per stack
+        maxStacks: 3
+    },
+    HEAVY_ROUNDS: {
+        id: 'heavyRounds',
+        name: 'HEAVY ROUNDS',
+        icon: '🔩',
+        description: '+15% bullet damage',
+        value: 0.15,        // Damage bonus per stack
+        maxStacks: 5
+    },
+    QUICK_TRIGGER: {
+        id: 'quickTrigger',
+        name: 'QUICK TRIGGER',
+        icon: '⏱️',
+        description: '+10% fire rate',
+        value: 0.1,         // Fire rate bonus per stack
+        maxStacks: 5
+    },
+    LONG_LASTING: {
+        id: 'longLasting',
+        name: 'LONG LASTING',
+        icon: '⏳',
+        description: '+25% power-pack duration',
+        value: 0.25,        // Duration bonus per stack
+        maxStacks: 4
+    },
+    ALLY_TRAINING: {
+        id: 'allyTraining',
+        name: 'ALLY TRAINING',
+        icon: '🪖',
+        description: 'Ally fires 25% faster',
+        value: 0.25,        // Ally fire rate bonus per stack
+        maxStacks: 3
+    },
+    DASH_STRIKE: {
+        id: 'dashStrike',
+        name: 'DASH STRIKE',
+        icon: '💨',
+        description: 'Dashing through a snake deals 40 damage',
+        value: 40,          // Damage per snake per dash, per stack
+        maxStacks: 3
+    }
+};
+
+const PERK_CONFIG = {
+    choices: 3              // Perks offered per level-up
+};
+
+/**
+ * Find a perk by ID
+ * @param {string} id - Perk ID
+ * @returns {Object|null} Perk definition
+ */
+function getPerk(id) {
+    return Object.values(PERKS).find(perk => perk.id === id) || null;
+}
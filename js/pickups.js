@@ -0,0 +1,137 @@
+/**
+ * SNAKE KILLER - Field Pickups
+ * Power-ups dropped by killed snakes. They float where the snake died,
+ * blink before they expire, and activate when the player walks over them.
+ */
+
+const PICKUP_CONFIG = {
+    dropChance: 0.08,       // Chance a normal snake leaves a pickup
+    bossDropChance: 1,      // Bosses always drop one
+    lifetime: 10,           // Seconds before a pickup disappears
+    blinkTime: 3,           // Blink during the last seconds
+    radius: 18,
+    maxOnField: 4,          // Older pickups make way for new ones
+    nukeFlashTime: 0.4,     // Screen flash (s) when a nuke goes off
+    ammoDropChance: 0.1,    // Chance of an ammo box when no power-up drops
+    ammoMagazines: 2,       // Magazines' worth of reserve per weapon in a box
+    // Relative odds of each POWERUP_TYPES drop
+    weights: {
+        rapidFire: 3,
+        wideShot: 3,
+        shield: 2,
+        nuke: 1
+    }
+};
+
+// Ammo box - refills weapon reserves instead of starting a power-up
+const AMMO_PICKUP = {
+    id: 'ammo',
+    name: 'AMMO',
+    icon: '📦',
+    color: '#ccaa44'
+};
+
+/**
+ * Pick a power-up type for a drop, by PICKUP_CONFIG.weights
+ * @returns {Object} Power-up type from POWERUP_TYPES
+ */
+function rollPickupType() {
+    const types = Object.values(POWERUP_TYPES);
+    const total = types.reduce((sum, type) => sum + PICKUP_CONFIG.weights[type.id], 0);
+
+    let roll = rng.next() * total;
+    for (const type of types) {
+        roll -= PICKUP_CONFIG.weights[type.id];
+        if (roll < 0) return type;
+    }
+    return types[types.length - 1];
+}
+
+/**
+ * Pickup class
+ * A power-up lying on the field
+ */
+class Pickup {
+    /**
+     * Create a pickup
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {Object} powerup - Power-up type from POWERUP_TYPES, or AMMO_PICKUP
+     */
+    constructor(x, y, powerup) {
+        this.x = x;
+        this.y = y;
+        this.powerup = powerup;
+        this.radius = PICKUP_CONFIG.radius;
+
+        this.age = 0;                       // Seconds on the field
+        this.floatPhase = randomRange(0, Math.PI * 2);
+        this.active = true;
+    }
+
+    /**
+     * Age the pickup and expire it
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    update(deltaTime) {
+        this.age += deltaTime;
+        if (this.age >= PICKUP_CONFIG.lifetime) {
+            this.active = false;
+        }
+    }
+
+    /**
+     * Get collision bounds
+     * @returns {Object} Circle {x, y, radius}
+     */
+    getCollisionBounds() {
+        return { x: this.x, y: this.y, radius: this.radius };
+    }
+
+    /**
+     * Render the pickup
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    render(ctx) {
+        // Blink before expiring
+        const remaining = PICKUP_CONFIG.lifetime - this.age;
+        if (remaining < PICKUP_CONFIG.blinkTime && Math.floor(remaining * 8) % 2 === 0) {
+            return;
+        }
+
+        const bob = Math.sin(this.age * 3 + this.floatPhase) * 4;
+        const pulse = 1 + Math.sin(this.age * 6) * 0.08;
+        const color = this.powerup.color;
+
+        ctx.save();
+        ctx.translate(this.x, this.y + bob);
+
+        // Glow
+        const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, this.radius * 2);
+        gradient.addColorStop(0, color);
+        gradient.addColorStop(1, 'transparent');
+        ctx.globalAlpha = 0.5;
+        ctx.beginPath();
+        ctx.arc(0, 0, this.radius * 2, 0, Math.PI * 2);
+        ctx.fillStyle = gradient;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+
+        // Ring
+        ctx.beginPath();
+        ctx.arc(0, 0, this.radius * pulse, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(10, 14, 23, 0.8)';
+        ctx.fill();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+
+        // Icon
+        ctx.font = `${Math.round(this.radius * 1.1)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.powerup.icon, 0, 1);
+
+        ctx.restore();
+    }
+}
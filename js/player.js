@@ -4,6 +4,16 @@
  * === ENHANCED: Touch input support for mobile devices ===
  */
 
+const DASH_CONFIG = {
+    speed: 1100,                // px per second while dashing
+    duration: 0.15,             // Seconds the burst lasts
+    cooldown: 1.0,              // Seconds between dashes, from the start of one
+    invulnerability: 0.25,      // I-frames from the start of the dash
+    afterimages: 6,             // Ghosts left along the dash path
+    afterimageFade: 0.25,       // Seconds a ghost takes to fade
+    doubleTapWindow: 0.25       // Max seconds between taps of a move key or the move stick
+};
+
 class Player {
     /**
      * Create the player
@@ -20,10 +30,22 @@ class Player {
         this.maxHealth = GAME_CONSTANTS.PLAYER_MAX_HEALTH;
         this.health = this.maxHealth;
 
+        // Perks picked on level-up (perk id -> stacks)
+        this.perks = {};
+
         // Shooting
         this.currentWeapon = WEAPONS.PISTOL;
         this.shootCooldown = this.currentWeapon.fireRate * 1000;
-        this.lastShootTime = 0;
+        this.lastShootTime = -Infinity;
+        this.simTime = 0;               // Simulation clock (ms) for fire cooldowns
+
+        // Ammo (weapon id -> {magazine, reserve}) for weapons with a magazine
+        this.ammo = {};
+        this.reloadTimer = 0;           // Seconds left on the current reload
+        this.dryFire = false;           // Trigger clicked on an empty gun (read by the simulation)
+        this.clickedEmpty = false;      // One empty click per trigger pull
+        this.beamTime = 0;              // Seconds a beam weapon stays on from the last round drawn
+        this.resetAmmo();
 
         // === NEW: Shooting animation state ===
         this.muzzleFlashTime = 0;      // Time remaining for muzzle flash
@@ -44,11 +66,23 @@ class Player {
         this.mouseY = y;
         this.mouseDown = false;
 
-        // === NEW: Touch input state ===
-        this.touchActive = false;       // Is there an active touch?
-        this.touchX = x;                // Touch target X position
-        this.touchY = y;                // Touch target Y position
-        this.touchMoveThreshold = 30;   // Distance from touch before moving stops
+        // Input state - Sticks (-1..1) and trigger, from a gamepad or the touch joysticks
+        this.stickMoveX = 0;
+        this.stickMoveY = 0;
+        this.stickAimX = 0;             // Last aim direction, kept when the stick is let go
+        this.stickAimY = 0;
+        this.aimByStick = false;        // Aim follows the stick until the mouse moves
+        this.stickAimDistance = 120;    // How far ahead of the player the stick aims
+        this.padFire = false;
+
+        // Dash
+        this.dashTime = 0;              // Seconds left in the current dash
+        this.dashCooldown = 0;          // Seconds until the next dash
+        this.dashX = 0;                 // Dash direction (unit vector)
+        this.dashY = 0;
+        this.dashed = false;            // A dash started (read by the simulation)
+        this.dashHits = [];             // Snakes already struck this dash
+        this.afterimages = [];          // {x, y, rotation, age} left along the dash
 
         // Power-up state (extended for new power packs)
         this.powerups = {
@@ -78,27 +112,23 @@ class Player {
     }
 
     /**
-     * Handle keyboard input
-     * @param {string} key - Key pressed/released
-     * @param {boolean} pressed - Whether key is pressed
+     * Handle keyboard input (keys are mapped to controls in controls.js)
+     * @param {string} control - 'up', 'down', 'left', 'right', 'reload' or 'dash'
+     * @param {boolean} pressed - Whether the key is pressed
      */
-    handleKeyInput(key, pressed) {
-        switch (key.toLowerCase()) {
-            case 'w':
-            case 'arrowup':
-                this.keys.up = pressed;
+    handleKeyInput(control, pressed) {
+        switch (control) {
+            case 'up':
+            case 'down':
+            case 'left':
+            case 'right':
+                this.keys[control] = pressed;
                 break;
-            case 's':
-            case 'arrowdown':
-                this.keys.down = pressed;
+            case 'reload':
+                if (pressed) this.reload();
                 break;
-            case 'a':
-            case 'arrowleft':
-                this.keys.left = pressed;
-                break;
-            case 'd':
-            case 'arrowright':
-                this.keys.right = pressed;
+            case 'dash':
+                if (pressed) this.dash();
                 break;
         }
     }
@@ -112,45 +142,29 @@ class Player {
     handleMouseInput(x, y, down = null) {
         this.mouseX = x;
         this.mouseY = y;
+        this.aimByStick = false;
         if (down !== null) {
             this.mouseDown = down;
         }
     }
 
     /**
-     * === NEW: Handle touch input ===
-     * Touch controls: Player moves toward touch, auto-fires while touching
-     * @param {number} x - Touch X position (already converted to canvas coords)
-     * @param {number} y - Touch Y position (already converted to canvas coords)
-     * @param {string} type - 'start', 'move', or 'end'
+     * Handle gamepad input
+     * @param {number} moveX - Left stick X (-1..1, dead zone applied)
+     * @param {number} moveY - Left stick Y
+     * @param {number} aimX - Right stick X
+     * @param {number} aimY - Right stick Y
+     * @param {boolean} fire - Whether the trigger is pulled
      */
-    handleTouchInput(x, y, type) {
-        switch (type) {
-            case 'start':
-                this.touchActive = true;
-                this.touchX = x;
-                this.touchY = y;
-                // Also set mouse position for aiming and enable auto-fire
-                this.mouseX = x;
-                this.mouseY = y;
-                this.mouseDown = true;  // Auto-fire while touching
-                break;
-
-            case 'move':
-                if (this.touchActive) {
-                    this.touchX = x;
-                    this.touchY = y;
-                    // Update aim direction
-                    this.mouseX = x;
-                    this.mouseY = y;
-                }
-                break;
-
-            case 'end':
-                this.touchActive = false;
-                this.mouseDown = false;  // Stop auto-fire
-                break;
+    handlePadInput(moveX, moveY, aimX, aimY, fire) {
+        this.stickMoveX = moveX;
+        this.stickMoveY = moveY;
+        if (aimX !== 0 || aimY !== 0) {
+            this.stickAimX = aimX;
+            this.stickAimY = aimY;
+            this.aimByStick = true;
         }
+        this.padFire = fire;
     }
 
     /**
@@ -161,6 +175,8 @@ class Player {
      * @returns {Bullet|null} New bullet if shooting, null otherwise
      */
     update(deltaTime, canvasWidth, canvasHeight) {
+        this.simTime += deltaTime * 1000;
+
         // Update pulse animation
         this.pulsePhase += deltaTime * 4;
 
@@ -173,35 +189,41 @@ class Player {
             this.recoilOffset = Math.max(0, this.recoilOffset - deltaTime * 40);
         }
 
-        // Calculate movement
-        let vx = 0;
-        let vy = 0;
-
-        // === TOUCH MODE: Player stays fixed, only aims at touch ===
-        // Movement is keyboard-only (WASD/arrows)
-        if (this.keys.up) vy -= 1;
-        if (this.keys.down) vy += 1;
-        if (this.keys.left) vx -= 1;
-        if (this.keys.right) vx += 1;
-
-        // Normalize diagonal movement
-        if (vx !== 0 && vy !== 0) {
-            const factor = 1 / Math.sqrt(2);
-            vx *= factor;
-            vy *= factor;
+        // Apply movement - a dash overrides the move input until it ends
+        if (this.isDashing()) {
+            this.x += this.dashX * DASH_CONFIG.speed * deltaTime;
+            this.y += this.dashY * DASH_CONFIG.speed * deltaTime;
+            this.dashTime -= deltaTime;
+        } else {
+            const move = this.getMoveInput();
+            this.x += move.x * this.speed * deltaTime;
+            this.y += move.y * this.speed * deltaTime;
         }
-
-        // Apply movement
-        this.x += vx * this.speed * deltaTime;
-        this.y += vy * this.speed * deltaTime;
+        this.dashCooldown = Math.max(0, this.dashCooldown - deltaTime);
 
         // Keep player in bounds
         this.x = clamp(this.x, this.radius, canvasWidth - this.radius);
         this.y = clamp(this.y, this.radius, canvasHeight - this.radius);
 
+        // The right stick aims a fixed distance ahead of the player
+        if (this.aimByStick) {
+            this.mouseX = this.x + this.stickAimX * this.stickAimDistance;
+            this.mouseY = this.y + this.stickAimY * this.stickAimDistance;
+        }
+
         // Update rotation to face mouse
         this.rotation = angleBetween(this.x, this.y, this.mouseX, this.mouseY);
 
+        // Afterimages: drop a ghost each step of a dash, fade the old ones
+        this.afterimages.forEach(ghost => { ghost.age += deltaTime; });
+        this.afterimages = this.afterimages.filter(ghost => ghost.age < DASH_CONFIG.afterimageFade);
+        if (this.isDashing()) {
+            this.afterimages.push({ x: this.x, y: this.y, rotation: this.rotation, age: 0 });
+            if (this.afterimages.length > DASH_CONFIG.afterimages) {
+                this.afterimages.shift();
+            }
+        }
+
         // Update invulnerability
         if (this.invulnerable) {
             this.invulnerableTime -= deltaTime;
@@ -210,64 +232,304 @@ class Player {
             }
         }
 
+        // Reloading
+        if (this.reloadTimer > 0) {
+            this.reloadTimer -= deltaTime;
+            if (this.reloadTimer <= 0) {
+                this.finishReload();
+            }
+        }
+
         // Handle shooting
         let bullet = null;
-        if (this.mouseDown && this.canShoot()) {
-            bullet = this.shoot();
+        this.beamTime = Math.max(0, this.beamTime - deltaTime);
+        if (!this.mouseDown && !this.padFire) {
+            this.clickedEmpty = false;
+            this.beamTime = 0;
+        } else if (this.canShoot()) {
+            const ammo = this.getAmmo();
+            if (ammo && ammo.magazine === 0) {
+                // Out of ammo entirely - click once per trigger pull
+                if (!this.reload() && !this.clickedEmpty) {
+                    this.dryFire = true;
+                    this.clickedEmpty = true;
+                }
+            } else {
+                bullet = this.shoot();
+            }
         }
 
         return bullet;
     }
 
+    /**
+     * Direction from the movement keys and left stick
+     * @returns {Object} {x, y}, at most length 1
+     */
+    getMoveInput() {
+        let vx = 0;
+        let vy = 0;
+
+        // Movement keys
+        if (this.keys.up) vy -= 1;
+        if (this.keys.down) vy += 1;
+        if (this.keys.left) vx -= 1;
+        if (this.keys.right) vx += 1;
+
+        // Left stick (gamepad or touch joystick) adds analog movement
+        vx += this.stickMoveX;
+        vy += this.stickMoveY;
+
+        // Normalize diagonal movement (and keys plus stick) to full speed
+        const length = Math.hypot(vx, vy);
+        if (length > 1) {
+            vx /= length;
+            vy /= length;
+        }
+        return { x: vx, y: vy };
+    }
+
+    /**
+     * Burst in the move direction (or toward the aim when standing still),
+     * invulnerable for the first moments
+     * @returns {boolean} True if the dash started
+     */
+    dash() {
+        if (this.isDashing() || this.dashCooldown > 0) return false;
+
+        const move = this.getMoveInput();
+        const direction = move.x !== 0 || move.y !== 0 ?
+            normalize(move.x, move.y) :
+            { x: Math.cos(this.rotation), y: Math.sin(this.rotation) };
+
+        this.dashX = direction.x;
+        this.dashY = direction.y;
+        this.dashTime = DASH_CONFIG.duration;
+        this.dashCooldown = DASH_CONFIG.cooldown;
+        this.dashHits = [];
+        this.dashed = true;
+
+        // Don't cut short a longer hit window that's already running
+        if (!this.invulnerable || this.invulnerableTime < DASH_CONFIG.invulnerability) {
+            this.setInvulnerable(DASH_CONFIG.invulnerability);
+        }
+        return true;
+    }
+
+    /**
+     * Check if a dash is under way
+     * @returns {boolean} True while dashing
+     */
+    isDashing() {
+        return this.dashTime > 0;
+    }
+
+    /**
+     * How far the dash has recharged
+     * @returns {number} 0-1, 1 when a dash is ready
+     */
+    getDashCharge() {
+        return 1 - this.dashCooldown / DASH_CONFIG.cooldown;
+    }
+
+    /**
+     * Reset every weapon to a full magazine and reserve
+     */
+    resetAmmo() {
+        this.ammo = {};
+        Object.values(WEAPONS).forEach(weapon => {
+            if (weapon.magazine) {
+                this.ammo[weapon.id] = { magazine: weapon.magazine, reserve: weapon.reserve };
+            }
+        });
+        this.reloadTimer = 0;
+        this.dryFire = false;
+        this.clickedEmpty = false;
+    }
+
+    /**
+     * Ammo left for a weapon
+     * @param {Object} weapon - Weapon from WEAPONS (defaults to the current one)
+     * @returns {Object|null} {magazine, reserve}, or null if it doesn't use ammo
+     */
+    getAmmo(weapon = this.currentWeapon) {
+        return this.ammo[weapon.id] || null;
+    }
+
+    /**
+     * Check if the current weapon is mid-reload
+     * @returns {boolean} True while reloading
+     */
+    isReloading() {
+        return this.reloadTimer > 0;
+    }
+
+    /**
+     * How far the current reload has got
+     * @returns {number} 0-1, or 0 when not reloading
+     */
+    getReloadProgress() {
+        if (!this.isReloading()) return 0;
+        return 1 - this.reloadTimer / this.currentWeapon.reloadTime;
+    }
+
+    /**
+     * Start reloading the current weapon
+     * @returns {boolean} True if a reload started
+     */
+    reload() {
+        const ammo = this.getAmmo();
+        if (!ammo || this.isReloading()) return false;
+        if (ammo.magazine >= this.currentWeapon.magazine || ammo.reserve <= 0) return false;
+
+        this.reloadTimer = this.currentWeapon.reloadTime;
+        return true;
+    }
+
+    /**
+     * Fill the magazine from the reserve once the reload time is up
+     */
+    finishReload() {
+        this.reloadTimer = 0;
+
+        const ammo = this.getAmmo();
+        if (!ammo) return;
+
+        const taken = Math.min(this.currentWeapon.magazine - ammo.magazine, ammo.reserve);
+        ammo.magazine += taken;
+        ammo.reserve -= taken;
+    }
+
+    /**
+     * Add spare ammo to every weapon that uses it, up to its full reserve
+     * @param {number} magazines - Magazines' worth per weapon
+     */
+    addAmmo(magazines) {
+        Object.values(WEAPONS).forEach(weapon => {
+            const ammo = this.getAmmo(weapon);
+            if (ammo) {
+                ammo.reserve = Math.min(ammo.reserve + weapon.magazine * magazines, weapon.reserve);
+            }
+        });
+    }
+
     /**
      * Check if player can shoot
      * @returns {boolean} True if can shoot
      */
     canShoot() {
-        const now = Date.now();
+        if (this.isReloading()) return false;
+        return this.simTime - this.lastShootTime >= this.getShootCooldown();
+    }
+
+    /**
+     * Time between shots with power-ups and perks applied
+     * @returns {number} Cooldown in ms
+     */
+    getShootCooldown() {
         // Faster guns power-up stacks with rapid fire
         let cooldown = this.currentWeapon.fireRate * 1000;
         if (this.powerups.rapidFire) cooldown /= 2;
         if (this.powerups.fasterGuns) cooldown /= 1.5;
-        return now - this.lastShootTime >= cooldown;
+        cooldown /= 1 + this.getPerkBonus(PERKS.QUICK_TRIGGER);
+        return cooldown;
+    }
+
+    /**
+     * Where shots leave the gun barrel
+     * @returns {Object} Muzzle position {x, y}
+     */
+    getMuzzle() {
+        const gunEndX = this.x + Math.cos(this.rotation) * (this.gunLength - this.recoilOffset);
+        const gunEndY = this.y + Math.sin(this.rotation) * (this.gunLength - this.recoilOffset);
+
+        // Offset perpendicular to aim direction for gun position
+        const perpAngle = this.rotation - Math.PI / 2;
+        return {
+            x: gunEndX + Math.cos(perpAngle) * this.gunOffsetY * 0.3,
+            y: gunEndY + Math.sin(perpAngle) * this.gunOffsetY * 0.3
+        };
+    }
+
+    /**
+     * Check if a beam weapon is firing this step
+     * @returns {boolean} True while the beam is on
+     */
+    isFiringBeam() {
+        return !!this.currentWeapon.beam && this.beamTime > 0;
+    }
+
+    /**
+     * The beam as a line from the muzzle, with its damage per second
+     * @returns {Object} {x1, y1, x2, y2, width, dps}
+     */
+    getBeam() {
+        const beam = this.currentWeapon.beam;
+        const start = this.getMuzzle();
+
+        let dps = this.currentWeapon.damage * (this.powerups.wideShot ? 1.5 : 1);
+        dps *= 1 + this.getPerkBonus(PERKS.HEAVY_ROUNDS);
+
+        return {
+            x1: start.x,
+            y1: start.y,
+            x2: start.x + Math.cos(this.rotation) * beam.length,
+            y2: start.y + Math.sin(this.rotation) * beam.length,
+            width: beam.width * (this.powerups.wideShot ? 1.5 : 1),
+            dps
+        };
     }
 
     /**
      * Fire a bullet - spawns from gun barrel with animation
-     * @returns {Bullet} New bullet
+     * @returns {Bullet|Bullet[]} New bullet(s); a beam fires none
      */
     shoot() {
-        this.lastShootTime = Date.now();
+        this.lastShootTime = this.simTime;
+
+        // One round per trigger (a shotgun shell fires every pellet); reload when empty
+        const ammo = this.getAmmo();
+        if (ammo) {
+            ammo.magazine--;
+            if (ammo.magazine === 0) {
+                this.reload();
+            }
+        }
+
+        // A beam stays on until the next round is due; the simulation sweeps it each step
+        if (this.currentWeapon.beam) {
+            this.beamTime = this.getShootCooldown() / 1000;
+            return [];
+        }
 
         // === NEW: Trigger shooting animation ===
         this.muzzleFlashTime = 0.08;  // 80ms muzzle flash
         this.recoilOffset = 5;         // Recoil pushback in pixels
 
         // Calculate gun barrel position
-        const gunEndX = this.x + Math.cos(this.rotation) * (this.gunLength - this.recoilOffset);
-        const gunEndY = this.y + Math.sin(this.rotation) * (this.gunLength - this.recoilOffset);
-
-        // Offset perpendicular to aim direction for gun position
-        const perpAngle = this.rotation - Math.PI / 2;
-        const spawnX = gunEndX + Math.cos(perpAngle) * this.gunOffsetY * 0.3;
-        const spawnY = gunEndY + Math.sin(perpAngle) * this.gunOffsetY * 0.3;
+        const muzzle = this.getMuzzle();
+        const spawnX = muzzle.x;
+        const spawnY = muzzle.y;
 
-        // Multi-projectile support (Shotgun)
+        // Multi-projectile support (Shotgun, Seeker)
         if (this.currentWeapon.count > 1) {
             const bullets = [];
+            // Buckshot only adds shotgun pellets
+            const buckshot = this.currentWeapon.id === WEAPONS.SHOTGUN.id ? this.getPerkBonus(PERKS.BUCKSHOT) : 0;
+            const count = this.currentWeapon.count + buckshot;
             const totalSpread = this.currentWeapon.spread;
             const startAngle = this.rotation - totalSpread / 2;
-            const step = totalSpread / (this.currentWeapon.count - 1);
+            const step = totalSpread / (count - 1);
 
-            for (let i = 0; i < this.currentWeapon.count; i++) {
+            for (let i = 0; i < count; i++) {
                 const angle = startAngle + step * i;
-                bullets.push(new Bullet(spawnX, spawnY, angle, this.currentWeapon, this.powerups));
+                bullets.push(bulletPool.acquire(spawnX, spawnY, angle, this.currentWeapon, this.powerups, this.perks));
             }
             return bullets;
         } else {
             // Single shot with random spread
-            const spread = (Math.random() - 0.5) * (this.currentWeapon.spread || 0);
-            return new Bullet(spawnX, spawnY, this.rotation + spread, this.currentWeapon, this.powerups);
+            const spread = randomRange(-0.5, 0.5) * (this.currentWeapon.spread || 0);
+            return bulletPool.acquire(spawnX, spawnY, this.rotation + spread, this.currentWeapon, this.powerups, this.perks);
         }
     }
 
@@ -279,15 +541,49 @@ class Player {
         // Find weapon by ID
         const weapon = Object.values(WEAPONS).find(w => w.id === weaponId);
         if (weapon) {
+            // Switching away drops a reload in progress (and turns a beam off)
+            if (weapon !== this.currentWeapon) {
+                this.reloadTimer = 0;
+                this.beamTime = 0;
+            }
             this.currentWeapon = weapon;
         }
     }
 
     /**
-     * Take damage
-     * @param {number} damage - Amount of damage
-     * @returns {boolean} True if player died
+     * Add a stack of a perk
+     * @param {string} perkId - Perk ID
      */
+    addPerk(perkId) {
+        this.perks[perkId] = this.getPerkStacks(perkId) + 1;
+
+        // Stat perks apply right away; the rest are read when used
+        if (perkId === PERKS.VITALITY.id) {
+            this.maxHealth += PERKS.VITALITY.value;
+            this.health += PERKS.VITALITY.value;
+        } else if (perkId === PERKS.SWIFT_FEET.id) {
+            this.speed = GAME_CONSTANTS.PLAYER_SPEED * (1 + this.getPerkBonus(PERKS.SWIFT_FEET));
+        }
+    }
+
+    /**
+     * Stacks taken of a perk
+     * @param {string} perkId - Perk ID
+     * @returns {number} Stack count
+     */
+    getPerkStacks(perkId) {
+        return this.perks[perkId] || 0;
+    }
+
+    /**
+     * Total effect of a perk's stacks
+     * @param {Object} perk - Perk definition from PERKS
+     * @returns {number} Stacks times the perk's value
+     */
+    getPerkBonus(perk) {
+        return this.getPerkStacks(perk.id) * perk.value;
+    }
+
     /**
      * Take damage
      * @param {number} damage - Amount of damage
@@ -353,12 +649,15 @@ class Player {
      * @param {CanvasRenderingContext2D} ctx - Canvas context
      */
     render(ctx) {
+        // Dash ghosts trail behind the character
+        this.afterimages.forEach(ghost => this.drawAfterimage(ctx, ghost));
+
         ctx.save();
         ctx.translate(this.x, this.y);
         ctx.rotate(this.rotation);
 
         // Flickering effect when invulnerable
-        if (this.invulnerable && Math.floor(Date.now() / 100) % 2 === 0) {
+        if (this.invulnerable && Math.floor(this.invulnerableTime * 10) % 2 === 0) {
             ctx.globalAlpha = 0.5;
         }
 
@@ -376,6 +675,10 @@ class Player {
         // === Draw the gun with animations ===
         this.drawGun(ctx);
 
+        if (this.isFiringBeam()) {
+            this.drawBeam(ctx);
+        }
+
         // === Draw muzzle flash if shooting ===
         if (this.muzzleFlashTime > 0) {
             this.drawMuzzleFlash(ctx);
@@ -384,6 +687,23 @@ class Player {
         ctx.restore();
     }
 
+    /**
+     * Draw a fading copy of the character left by a dash
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} ghost - {x, y, rotation, age} from afterimages
+     */
+    drawAfterimage(ctx, ghost) {
+        ctx.save();
+        ctx.translate(ghost.x, ghost.y);
+        ctx.rotate(ghost.rotation);
+        ctx.globalAlpha = 0.4 * (1 - ghost.age / DASH_CONFIG.afterimageFade);
+
+        this.drawGlow(ctx);
+        this.drawCharacter(ctx);
+
+        ctx.restore();
+    }
+
     /**
      * Draw shield bubble effect
      * @param {CanvasRenderingContext2D} ctx
@@ -531,6 +851,15 @@ class Player {
         ctx.save();
         ctx.translate(gunStartX, gunStartY);
 
+        // Reloading: tip the gun aside while the magazine drops out and back in
+        const reload = this.getReloadProgress();
+        const reloadSwing = Math.sin(reload * Math.PI);
+        if (this.isReloading()) {
+            ctx.rotate(reloadSwing * 0.6);
+            ctx.fillStyle = '#777777';
+            ctx.fillRect(-2, 4 + reloadSwing * 12, 5, 9);
+        }
+
         // Gun handle
         ctx.fillStyle = '#333333';
         ctx.fillRect(-4, 3, 8, 12);
@@ -561,6 +890,42 @@ class Player {
         ctx.restore();
     }
 
+    /**
+     * Draw a beam weapon's ray from the muzzle (in the player's rotated frame)
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    drawBeam(ctx) {
+        const beam = this.currentWeapon.beam;
+        const startX = this.gunLength;
+        const startY = -this.gunOffsetY * 0.3;
+        const flicker = 0.8 + Math.sin(this.pulsePhase * 12) * 0.2;
+
+        ctx.save();
+        ctx.lineCap = 'round';
+
+        // Outer glow
+        const alpha = ctx.globalAlpha;
+        ctx.strokeStyle = this.currentWeapon.bulletColor;
+        ctx.globalAlpha = alpha * 0.35 * flicker;
+        ctx.lineWidth = beam.width * 2.5;
+        ctx.beginPath();
+        ctx.moveTo(startX, startY);
+        ctx.lineTo(startX + beam.length, startY);
+        ctx.stroke();
+        ctx.globalAlpha = alpha;
+
+        // Beam
+        ctx.lineWidth = beam.width * flicker;
+        ctx.stroke();
+
+        // Hot core
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.lineWidth = beam.width * 0.3;
+        ctx.stroke();
+
+        ctx.restore();
+    }
+
     /**
      * Draw muzzle flash effect when shooting
      * @param {CanvasRenderingContext2D} ctx
@@ -634,9 +999,19 @@ class Player {
         this.invulnerable = false;
         this.muzzleFlashTime = 0;
         this.recoilOffset = 0;
-        // Reset touch state
-        this.touchActive = false;
+        this.beamTime = 0;
+        this.dashTime = 0;
+        this.dashCooldown = 0;
+        this.dashed = false;
+        this.dashHits = [];
+        this.afterimages = [];
+        this.resetAmmo();
+        // Reset held input
         this.mouseDown = false;
+        this.padFire = false;
+        this.stickMoveX = 0;
+        this.stickMoveY = 0;
+        this.aimByStick = false;
         this.powerups = {
             rapidFire: false,
             wideShot: false,
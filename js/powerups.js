@@ -36,6 +36,15 @@ const POWERUP_TYPES = {
     }
 };
 
+// What buying a pack again does while it's still running:
+//   'extend'  - adds another full duration to the timer
+//   'refresh' - resets the timer to a full duration
+//   'queue'   - runs again once the current one ends (up to maxQueued)
+// Different packs always run side by side.
+const POWER_PACK_RULES = {
+    maxQueued: 1
+};
+
 // === NEW: Kill-based power pack definitions ===
 const POWER_PACKS = {
     FASTER_GUNS: {
@@ -45,7 +54,8 @@ const POWER_PACKS = {
         duration: 12,
         color: '#ff9900',
         description: 'Faster fire rate + bullet speed',
-        cost: 10
+        cost: 10,
+        stacking: 'extend'
     },
     SHIELD_PROTECTION: {
         id: 'shield',
@@ -54,7 +64,8 @@ const POWER_PACKS = {
         duration: 8,
         color: '#00d4ff',
         description: 'Absorb snake damage',
-        cost: 10
+        cost: 10,
+        stacking: 'refresh'
     },
     FREEZE_SNAKES: {
         id: 'freezeSnakes',
@@ -63,7 +74,8 @@ const POWER_PACKS = {
         duration: 5,
         color: '#66ccff',
         description: 'Freeze all snakes',
-        cost: 10
+        cost: 10,
+        stacking: 'queue'
     },
     // === NEW: Call for Help power pack ===
     CALL_FOR_HELP: {
@@ -73,10 +85,42 @@ const POWER_PACKS = {
         duration: 15,  // Total time including descent
         color: '#ff8800',
         description: 'Summon NPC ally with parachute',
-        cost: 10
+        cost: 10,
+        stacking: 'queue'
     }
 };
 
+// Upgrade tiers bought in the shop, in order. A tier can add duration (s),
+// take a discount off the pack's cost, add ally fire rate, or unlock an effect.
+const POWER_PACK_TIERS = {
+    fasterGuns: [
+        { cost: 15, description: '+4s duration', duration: 4 },
+        { cost: 25, description: 'Costs 4 less', discount: 4 },
+        { cost: 40, description: '+6s duration', duration: 6 }
+    ],
+    shield: [
+        { cost: 15, description: '+3s duration', duration: 3 },
+        { cost: 30, description: 'Reflects hits - snakes (not bosses) that touch it take 60 damage', effect: 'reflect' },
+        { cost: 40, description: 'Costs 4 less', discount: 4 }
+    ],
+    freezeSnakes: [
+        { cost: 15, description: '+2s duration', duration: 2 },
+        { cost: 30, description: 'Frostbite - frozen snakes take 15 damage/s', effect: 'frostbite' },
+        { cost: 40, description: 'Costs 4 less', discount: 4 }
+    ],
+    callForHelp: [
+        { cost: 15, description: 'Ally stays 5s longer', duration: 5 },
+        { cost: 30, description: 'Ally fires 30% faster', allyFireRate: 0.3 },
+        { cost: 40, description: 'Costs 4 less', discount: 4 }
+    ]
+};
+
+// Strength of the tier effects
+const POWER_PACK_EFFECTS = {
+    reflectDamage: 60,      // Damage a reflecting shield deals on contact
+    frostbiteDamage: 15     // Damage per second to frozen snakes
+};
+
 // Kill milestones REMOVED in favor of points system
 
 // Level milestones for power-ups (original system)
@@ -91,8 +135,11 @@ const POWERUP_MILESTONES = {
 class PowerupManager {
     constructor() {
         this.activePowerups = new Map(); // Map of powerup id -> remaining time
+        this.queuedPowerups = new Map(); // Map of powerup id -> {powerup, count} waiting to run again
         this.hudCallback = null;
         this.frozenSnakes = [];  // Reference to snakes array for freeze effect
+        this.pendingKills = [];  // Snakes killed by power-ups, for the game to award
+        this.tiers = {};         // Pack id -> upgrade tiers bought this run
     }
 
     /**
@@ -122,6 +169,101 @@ class PowerupManager {
 
     /* checkKillMilestones removed */
 
+    /**
+     * Check if a power-up can be started, stacked or queued right now
+     * @param {Object} powerup - Power-up type object
+     * @returns {boolean} True if activate() would take it
+     */
+    canActivate(powerup) {
+        if (!this.activePowerups.has(powerup.id)) return true;
+        if (this.getStacking(powerup) !== 'queue') return true;
+        return this.getQueuedCount(powerup.id) < POWER_PACK_RULES.maxQueued;
+    }
+
+    /**
+     * Stacking rule for a power-up (field pickups refresh)
+     * @param {Object} powerup - Power-up type object
+     * @returns {string} 'extend', 'refresh' or 'queue'
+     */
+    getStacking(powerup) {
+        return powerup.stacking || 'refresh';
+    }
+
+    /**
+     * Number of runs waiting behind an active power-up
+     * @param {string} id - Power-up id
+     * @returns {number} Queued count
+     */
+    getQueuedCount(id) {
+        const queued = this.queuedPowerups.get(id);
+        return queued ? queued.count : 0;
+    }
+
+    /**
+     * Activate a power-up, or stack it onto the running one
+     * @param {Object} powerup - Power-up type object
+     * @param {Player} player - Player to apply power-up to
+     * @param {Array} snakes - Array of snakes (for nuke/freeze)
+     * @returns {string} 'started', 'extended', 'refreshed' or 'queued'
+     */
+    add(powerup, player, snakes = []) {
+        const running = this.activePowerups.get(powerup.id);
+        if (!running) {
+            this.activate(powerup, player, snakes);
+            return 'started';
+        }
+
+        const duration = this.getDuration(powerup, player);
+        let result;
+        switch (this.getStacking(powerup)) {
+            case 'extend':
+                running.remainingTime += duration;
+                result = 'extended';
+                break;
+            case 'queue': {
+                const queued = this.queuedPowerups.get(powerup.id) || { powerup, count: 0 };
+                queued.count++;
+                this.queuedPowerups.set(powerup.id, queued);
+                result = 'queued';
+                break;
+            }
+            default:
+                running.remainingTime = Math.max(running.remainingTime, duration);
+                result = 'refreshed';
+        }
+
+        this.updateHud();
+        return result;
+    }
+
+    /**
+     * End a running power-up and start its queued follow-up, if any
+     * @param {string} id - Power-up id
+     * @param {Player} player - Player to remove the power-up from
+     * @param {Array} snakes - Array of snakes (for freeze expiration)
+     */
+    end(id, player, snakes = []) {
+        if (id === 'freezeSnakes') {
+            // Unfreeze snakes when freeze expires
+            this.unfreezeAll(snakes);
+        } else if (id !== 'callForHelp') {
+            // Call for Help cleanup is handled by the Ally class itself
+            player.removePowerup(id);
+        }
+        this.activePowerups.delete(id);
+
+        const queued = this.queuedPowerups.get(id);
+        if (queued) {
+            queued.count--;
+            if (queued.count <= 0) {
+                this.queuedPowerups.delete(id);
+            }
+            this.activate(queued.powerup, player, snakes);
+        }
+
+        this.updateHud();
+    }
+
     /**
      * Activate a power-up
      * @param {Object} powerup - Power-up type object
@@ -131,15 +273,17 @@ class PowerupManager {
      * @returns {Object} Power-up data for notification
      */
     activate(powerup, player, snakes = [], gameContext = null) {
+        const duration = this.getDuration(powerup, player);
+
         if (powerup.id === 'nuke') {
-            // Instant effect - damage all snakes
-            this.triggerNuke(snakes);
+            // Instant effect - damage all snakes; the game awards the kills
+            this.pendingKills.push(...this.triggerNuke(snakes));
         } else if (powerup.id === 'freezeSnakes') {
             // === Freeze all snakes ===
-            this.triggerFreeze(snakes, powerup.duration);
+            this.triggerFreeze(snakes, duration);
             this.activePowerups.set(powerup.id, {
                 ...powerup,
-                remainingTime: powerup.duration
+                remainingTime: duration
             });
             this.updateHud();
         } else if (powerup.id === 'callForHelp') {
@@ -148,15 +292,15 @@ class PowerupManager {
             this.pendingAllySpawn = true;
             this.activePowerups.set(powerup.id, {
                 ...powerup,
-                remainingTime: powerup.duration
+                remainingTime: duration
             });
             this.updateHud();
         } else {
             // Duration-based power-up
-            player.applyPowerup(powerup.id, powerup.duration);
+            player.applyPowerup(powerup.id, duration);
             this.activePowerups.set(powerup.id, {
                 ...powerup,
-                remainingTime: powerup.duration
+                remainingTime: duration
             });
             this.updateHud();
         }
@@ -164,25 +308,111 @@ class PowerupManager {
         return powerup;
     }
 
+    /**
+     * How long a power-up lasts for this player
+     * @param {Object} powerup - Power-up type object
+     * @param {Player} player - Player activating it
+     * @returns {number} Duration in seconds, extended by the Long Lasting perk
+     */
+    getDuration(powerup, player) {
+        const base = powerup.duration + this.getTierBonus(powerup.id, 'duration');
+        return base * (1 + player.getPerkBonus(PERKS.LONG_LASTING));
+    }
+
+    /**
+     * Upgrade tiers bought for a pack
+     * @param {string} id - Pack id
+     * @returns {number} Tier count (0 if never upgraded)
+     */
+    getTier(id) {
+        return this.tiers[id] || 0;
+    }
+
+    /**
+     * The tier a pack would get from its next upgrade
+     * @param {string} id - Pack id
+     * @returns {Object|null} Tier definition, or null when maxed
+     */
+    getNextTier(id) {
+        const tiers = POWER_PACK_TIERS[id] || [];
+        return tiers[this.getTier(id)] || null;
+    }
+
+    /**
+     * Buy a pack's next upgrade tier (the caller pays for it)
+     * @param {string} id - Pack id
+     */
+    upgrade(id) {
+        if (!this.getNextTier(id)) return;
+        this.tiers[id] = this.getTier(id) + 1;
+        this.updateHud();
+    }
+
+    /**
+     * Sum of a numeric tier field over the tiers bought
+     * @param {string} id - Pack id
+     * @param {string} key - Tier field, e.g. 'duration' or 'discount'
+     * @returns {number} Total bonus
+     */
+    getTierBonus(id, key) {
+        const tiers = (POWER_PACK_TIERS[id] || []).slice(0, this.getTier(id));
+        return tiers.reduce((sum, tier) => sum + (tier[key] || 0), 0);
+    }
+
+    /**
+     * Check if a bought tier unlocked an effect
+     * @param {string} id - Pack id
+     * @param {string} effect - Effect name, e.g. 'reflect'
+     * @returns {boolean} True if unlocked
+     */
+    hasTierEffect(id, effect) {
+        const tiers = (POWER_PACK_TIERS[id] || []).slice(0, this.getTier(id));
+        return tiers.some(tier => tier.effect === effect);
+    }
+
+    /**
+     * Points a pack costs after upgrade discounts
+     * @param {Object} pack - Pack from POWER_PACKS
+     * @returns {number} Cost in points
+     */
+    getPackCost(pack) {
+        return Math.max(1, pack.cost - this.getTierBonus(pack.id, 'discount'));
+    }
+
+    /**
+     * Frostbite tier - frozen snakes take damage over time
+     * @param {number} deltaTime - Time since last frame
+     * @param {Array} snakes - Array of snakes
+     */
+    applyFrostbite(deltaTime, snakes) {
+        const damage = POWER_PACK_EFFECTS.frostbiteDamage * deltaTime;
+
+        snakes.forEach(snake => {
+            if (snake.active && snake.frozen && snake.takeDamage(damage, 0, true)) {
+                this.pendingKills.push(snake);
+            }
+        });
+    }
+
     /**
      * Trigger nuke effect - damage all snakes
      * @param {Array} snakes - Array of snakes
-     * @returns {number} Total XP from killed snakes
+     * @returns {Array} Snakes the nuke killed
      */
     triggerNuke(snakes) {
-        let totalXp = 0;
+        const killedSnakes = [];
         const nukeDamage = 100;
 
         snakes.forEach(snake => {
             if (snake.active) {
                 const killed = snake.takeDamage(nukeDamage);
                 if (killed) {
-                    totalXp += snake.xpValue;
+                    killedSnakes.push(snake);
                 }
             }
         });
 
-        return totalXp;
+        return killedSnakes;
     }
 
     /**
@@ -217,31 +447,22 @@ class PowerupManager {
      * @param {Array} snakes - Array of snakes (for freeze expiration)
      */
     update(deltaTime, player, snakes = []) {
-        let changed = false;
+        const expired = [];
+
+        if (this.isActive('freezeSnakes') && this.hasTierEffect('freezeSnakes', 'frostbite')) {
+            this.applyFrostbite(deltaTime, snakes);
+        }
 
         for (const [id, powerup] of this.activePowerups) {
-            powerup.remainingTime -= deltaTime;
-
-            if (powerup.remainingTime <= 0) {
-                // Handle power-up expiration
-                if (id === 'freezeSnakes') {
-                    // Unfreeze snakes when freeze expires
-                    this.unfreezeAll(snakes);
-                } else if (id === 'callForHelp') {
-                    // === NEW: Call for Help manages its own cleanup ===
-                    // Ally despawn is handled by the Ally class itself
-                    // Just remove from active powerups
-                } else {
-                    player.removePowerup(id);
-                }
-                this.activePowerups.delete(id);
-                changed = true;
+            powerup.remainingTime = Math.max(0, powerup.remainingTime - deltaTime);
+
+            // === NEW: Call for Help ends when the ally leaves (see end()) ===
+            if (powerup.remainingTime <= 0 && id !== 'callForHelp') {
+                expired.push(id);
             }
         }
 
-        if (changed) {
-            this.updateHud();
-        }
+        expired.forEach(id => this.end(id, player, snakes));
     }
 
     /**
@@ -249,7 +470,10 @@ class PowerupManager {
      * @returns {Array} Array of active power-up data
      */
     getActivePowerups() {
-        return Array.from(this.activePowerups.values());
+        return Array.from(this.activePowerups.values(), powerup => ({
+            ...powerup,
+            queued: this.getQueuedCount(powerup.id)
+        }));
     }
 
     /**
@@ -284,6 +508,10 @@ class PowerupManager {
             }
         }
         this.activePowerups.clear();
+        this.queuedPowerups.clear();
+        this.pendingAllySpawn = false;
+        this.pendingKills = [];
+        this.tiers = {};
         this.updateHud();
     }
 }
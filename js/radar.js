@@ -0,0 +1,234 @@
+/**
+ * SNAKE KILLER - Threat Radar
+ * Warnings for snakes the player can't see yet. Every snake outside the
+ * arena gets an arrow on the nearest screen edge, pointing at it: bigger
+ * the closer it is, in the snake's hue, and brighter and glowing harder
+ * the stronger it is. The optional radar in the bottom-left corner maps
+ * snakes, pickups and the ally around the player.
+ *
+ * Both draw in arena coordinates on top of the world, after the vignette.
+ */
+
+const RADAR_CONFIG = {
+    storageKey: 'snakeKiller_radar',
+    // Edge arrows
+    arrow: {
+        edgeInset: 22,          // Distance of the arrow tip from the screen edge
+        maxSize: 20,            // Arrow length for a snake right at the edge
+        minSize: 9,             // ...and for one farDistance or more beyond it
+        farDistance: 300,       // px outside the arena where arrows stop shrinking
+        strongHealth: 4         // Max health (in SNAKE_BASE_HEALTH) of a full-strength snake
+    },
+    // Corner minimap
+    minimap: {
+        radius: 70,             // On-screen radius (px)
+        margin: 20,             // Gap from the bottom-left corner
+        range: 700,             // Arena px from the player to the rim
+        background: 'rgba(6, 8, 16, 0.7)',
+        ringColor: 'rgba(0, 212, 255, 0.35)',
+        playerColor: '#00ff88',
+        allyColor: '#00d4ff'
+    }
+};
+
+/**
+ * ThreatRadar class
+ * Draws the off-screen arrows and the minimap
+ */
+class ThreatRadar {
+    /**
+     * @param {number} width - Arena width
+     * @param {number} height - Arena height
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.enabled = localStorage.getItem(RADAR_CONFIG.storageKey) === 'true';
+    }
+
+    /**
+     * Turn the minimap on or off (the edge arrows always show)
+     * @returns {boolean} New state
+     */
+    toggle() {
+        this.enabled = !this.enabled;
+        localStorage.setItem(RADAR_CONFIG.storageKey, String(this.enabled));
+        return this.enabled;
+    }
+
+    /**
+     * Draw the arrows and, if enabled, the minimap
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Simulation} sim - World to show
+     */
+    render(ctx, sim) {
+        sim.snakes.forEach(snake => {
+            if (snake.active && this.isOffScreen(snake)) {
+                this.drawArrow(ctx, snake);
+            }
+        });
+
+        if (this.enabled && sim.player) {
+            this.drawMinimap(ctx, sim);
+        }
+    }
+
+    /**
+     * Check if a snake's head is outside the arena
+     * @param {Snake} snake - Snake to check
+     * @returns {boolean} True if it can't be seen
+     */
+    isOffScreen(snake) {
+        return snake.x < 0 || snake.x > this.width || snake.y < 0 || snake.y > this.height;
+    }
+
+    /**
+     * How dangerous a snake is, for tinting its markers
+     * @param {Snake} snake - Snake to rate
+     * @returns {number} 0 (weakest) to 1 (full strength or a boss)
+     */
+    getStrength(snake) {
+        if (snake.isBoss) return 1;
+        const health = snake.maxHealth / GAME_CONSTANTS.SNAKE_BASE_HEALTH;
+        return clamp((health - 1) / (RADAR_CONFIG.arrow.strongHealth - 1), 0, 1);
+    }
+
+    /**
+     * Marker color for a snake: its hue, more saturated and lighter when strong
+     * @param {Snake} snake - Snake to color
+     * @returns {string} CSS color
+     */
+    getColor(snake) {
+        const strength = this.getStrength(snake);
+        return `hsl(${snake.hue}, ${55 + strength * 45}%, ${50 + strength * 15}%)`;
+    }
+
+    /**
+     * Draw an edge arrow pointing at an off-screen snake
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Snake} snake - Snake outside the arena
+     */
+    drawArrow(ctx, snake) {
+        const config = RADAR_CONFIG.arrow;
+        const inset = config.edgeInset;
+
+        // Nearest point inside the inset border, pointing out at the snake
+        const x = clamp(snake.x, inset, this.width - inset);
+        const y = clamp(snake.y, inset, this.height - inset);
+        const angle = angleBetween(x, y, snake.x, snake.y);
+
+        const beyond = Math.min(1, Math.max(0, distance(x, y, snake.x, snake.y) - inset) / config.farDistance);
+        const size = config.maxSize - (config.maxSize - config.minSize) * beyond;
+        const strength = this.getStrength(snake);
+        const color = this.getColor(snake);
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+        ctx.globalAlpha = 1 - beyond * 0.5;
+
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(-size, -size * 0.6);
+        ctx.lineTo(-size * 0.7, 0);
+        ctx.lineTo(-size, size * 0.6);
+        ctx.closePath();
+
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 4 + strength * 14;
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.shadowBlur = 0;
+        ctx.strokeStyle = `rgba(255, 255, 255, ${0.3 + strength * 0.6})`;
+        ctx.lineWidth = 1 + strength * 1.5;
+        ctx.stroke();
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw the corner minimap, centered on the player
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Simulation} sim - World to show
+     */
+    drawMinimap(ctx, sim) {
+        const config = RADAR_CONFIG.minimap;
+        const cx = config.margin + config.radius;
+        const cy = this.height - config.margin - config.radius;
+        const player = sim.player;
+
+        // Arena position -> minimap position, pinned to the rim when out of range
+        const toMap = (x, y) => {
+            const dx = x - player.x;
+            const dy = y - player.y;
+            const scale = config.radius / Math.max(config.range, Math.hypot(dx, dy));
+            return { x: cx + dx * scale, y: cy + dy * scale };
+        };
+
+        ctx.save();
+
+        // Disc and range rings
+        ctx.beginPath();
+        ctx.arc(cx, cy, config.radius, 0, Math.PI * 2);
+        ctx.fillStyle = config.background;
+        ctx.fill();
+        ctx.strokeStyle = config.ringColor;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(cx, cy, config.radius / 2, 0, Math.PI * 2);
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        // Arena outline
+        const topLeft = toMap(0, 0);
+        const bottomRight = toMap(this.width, this.height);
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(cx, cy, config.radius, 0, Math.PI * 2);
+        ctx.clip();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.strokeRect(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+        ctx.restore();
+
+        // Pickups
+        sim.pickups.forEach(pickup => {
+            if (!pickup.active) return;
+            const pos = toMap(pickup.x, pickup.y);
+            ctx.fillStyle = pickup.powerup.color;
+            ctx.fillRect(pos.x - 3, pos.y - 3, 6, 6);
+        });
+
+        // Snakes, bosses bigger
+        sim.snakes.forEach(snake => {
+            if (!snake.active) return;
+            const pos = toMap(snake.x, snake.y);
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, snake.isBoss ? 6 : 3, 0, Math.PI * 2);
+            ctx.fillStyle = this.getColor(snake);
+            ctx.fill();
+        });
+
+        // Ally
+        if (sim.ally) {
+            const pos = toMap(sim.ally.x, sim.ally.y);
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, 4, 0, Math.PI * 2);
+            ctx.fillStyle = config.allyColor;
+            ctx.fill();
+        }
+
+        // Player, pointing where it aims
+        ctx.translate(cx, cy);
+        ctx.rotate(player.rotation);
+        ctx.beginPath();
+        ctx.moveTo(6, 0);
+        ctx.lineTo(-4, -4);
+        ctx.lineTo(-4, 4);
+        ctx.closePath();
+        ctx.fillStyle = config.playerColor;
+        ctx.fill();
+
+        ctx.restore();
+    }
+}
@@ -0,0 +1,334 @@
+/**
+ * SNAKE KILLER - Replays
+ * Records a run's inputs stamped with their simulation tick and plays
+ * them back through Game. Runs are deterministic given their seed and
+ * starting loadout, so with those the inputs are all a replay needs.
+ *
+ * Input actions are compact arrays, shared by live play and playback:
+ *   ['k', control, pressed] Movement, reload or dash key ('up', 'down', 'left', 'right',
+ *                           'reload', 'dash')
+ *   ['a', x, y, down]       Mouse aim (down is true/false, or null if unchanged)
+ *   ['g', mx, my, ax, ay, fire]  Move and aim sticks (-1..1) and trigger, from a
+ *                           gamepad or the touch joysticks
+ *   ['w', weaponId]         Weapon switch
+ *   ['p', packId]           Power-pack activation
+ *   ['u', perkId]           Level-up perk choice
+ *   ['s', packId]           Shop upgrade for a power pack
+ *   ['l', weaponId]         Locked weapon bought with points
+ * A recorded event is the action with its tick in front: [tick, ...action]
+ */
+
+const REPLAY_CONFIG = {
+    version: 4,
+    speeds: [1, 2, 4],          // Playback speeds the viewer cycles through
+    seekStep: 5,                // Seconds skipped by the arrow keys
+    fileName: 'snake-killer-replay',
+    actionCodes: ['k', 'a', 'g', 'w', 'p', 'u', 's', 'l']   // First element of each action above
+};
+
+/**
+ * ReplayRecorder class
+ * Collects the inputs applied during a live run
+ */
+class ReplayRecorder {
+    constructor() {
+        this.seed = 0;
+        this.loadout = [];
+        this.events = [];
+    }
+
+    /**
+     * Start a new recording
+     * @param {number} seed - Seed of the run being recorded
+     * @param {Array} loadout - Weapon IDs the run started with unlocked
+     */
+    begin(seed, loadout = []) {
+        this.seed = seed;
+        this.loadout = loadout.slice();
+        this.events = [];
+    }
+
+    /**
+     * Record an input action
+     * @param {number} tick - Simulation tick the action was applied on
+     * @param {Array} action - Input action
+     */
+    record(tick, action) {
+        this.events.push([tick, ...action]);
+    }
+
+    /**
+     * Finish the recording
+     * @param {number} ticks - Ticks the run lasted
+     * @param {Object} stats - Final {score, level, kills}
+     * @returns {Object} Replay data, ready for JSON export
+     */
+    finish(ticks, stats) {
+        return {
+            version: REPLAY_CONFIG.version,
+            seed: this.seed,
+            loadout: this.loadout,
+            timestep: GAME_CONSTANTS.FIXED_TIMESTEP,
+            ticks: ticks,
+            date: new Date().toISOString(),
+            stats: stats,
+            events: this.events
+        };
+    }
+}
+
+/**
+ * ReplayPlayer class
+ * Hands recorded actions back to Game tick by tick, and tracks the
+ * viewer's pause and speed state
+ */
+class ReplayPlayer {
+    /**
+     * Create a player for a recording
+     * @param {Object} data - Replay data from ReplayRecorder.finish
+     */
+    constructor(data) {
+        this.data = data;
+        this.seed = data.seed;
+        this.loadout = data.loadout || [];
+        this.totalTicks = data.ticks;
+        this.events = data.events;
+        this.cursor = 0;            // Index of the next event to play
+
+        // Viewer state
+        this.paused = false;
+        this.speedIndex = 0;
+    }
+
+    /**
+     * Check that parsed JSON looks like a replay this version can play
+     * @param {Object} data - Parsed replay file
+     * @returns {boolean} True if playable
+     */
+    static isValid(data) {
+        return ReplayPlayer.validate(data) === null;
+    }
+
+    /**
+     * Explain why parsed JSON can't be played
+     * @param {Object} data - Parsed replay file
+     * @returns {string|null} Message for the player, or null if playable
+     */
+    static validate(data) {
+        const looksLikeReplay = !!data &&
+            typeof data.seed === 'number' &&
+            typeof data.ticks === 'number' &&
+            (data.loadout === undefined || Array.isArray(data.loadout)) &&
+            ReplayPlayer.hasValidEvents(data.events);
+
+        if (!looksLikeReplay) return 'That file is not a Snake Killer replay.';
+        if (data.version !== REPLAY_CONFIG.version) {
+            return 'That replay was recorded with a different version of the game.';
+        }
+        return null;
+    }
+
+    /**
+     * Check that every event is [tick, code, ...] with known action codes
+     * and ticks that never go backwards
+     * @param {Array} events - Recorded events
+     * @returns {boolean} True if playback can read them all
+     */
+    static hasValidEvents(events) {
+        if (!Array.isArray(events)) return false;
+
+        let lastTick = 0;
+        return events.every(event => {
+            if (!Array.isArray(event) || typeof event[0] !== 'number' || event[0] < lastTick) {
+                return false;
+            }
+            lastTick = event[0];
+            return REPLAY_CONFIG.actionCodes.includes(event[1]);
+        });
+    }
+
+    /**
+     * Go back to the first event (used when seeking backwards)
+     */
+    rewind() {
+        this.cursor = 0;
+    }
+
+    /**
+     * Actions recorded for a tick
+     * @param {number} tick - Simulation tick about to run
+     * @returns {Array} Input actions, in recorded order
+     */
+    takeActions(tick) {
+        const actions = [];
+        while (this.cursor < this.events.length && this.events[this.cursor][0] <= tick) {
+            actions.push(this.events[this.cursor].slice(1));
+            this.cursor++;
+        }
+        return actions;
+    }
+
+    /**
+     * Check if a tick is past the end of the recording
+     * @param {number} tick - Simulation tick
+     * @returns {boolean} True once playback is over
+     */
+    isFinished(tick) {
+        return tick >= this.totalTicks;
+    }
+
+    /**
+     * Current playback speed
+     * @returns {number} Speed multiplier
+     */
+    getSpeed() {
+        return REPLAY_CONFIG.speeds[this.speedIndex];
+    }
+
+    /**
+     * Simulation steps to run per real second, relative to normal
+     * @returns {number} Speed multiplier, or 0 while paused
+     */
+    getRate() {
+        return this.paused ? 0 : this.getSpeed();
+    }
+
+    /**
+     * Move to the next playback speed
+     * @returns {number} New speed multiplier
+     */
+    cycleSpeed() {
+        this.speedIndex = (this.speedIndex + 1) % REPLAY_CONFIG.speeds.length;
+        return this.getSpeed();
+    }
+}
+
+/**
+ * ReplayControls class
+ * Playback bar shown while watching a replay
+ */
+class ReplayControls {
+    constructor() {
+        this.container = document.getElementById('replay-controls');
+        this.pauseBtn = document.getElementById('replay-pause-btn');
+        this.speedBtn = document.getElementById('replay-speed-btn');
+        this.scrubber = document.getElementById('replay-scrubber');
+        this.timeText = document.getElementById('replay-time');
+        this.exitBtn = document.getElementById('replay-exit-btn');
+
+        this.totalTicks = 0;
+        this.scrubbing = false;     // Player is dragging the scrubber
+
+        // Callbacks
+        this.onTogglePause = null;
+        this.onCycleSpeed = null;
+        this.onSeek = null;
+        this.onExit = null;
+
+        this.pauseBtn.addEventListener('click', () => {
+            if (this.onTogglePause) this.onTogglePause();
+        });
+        this.speedBtn.addEventListener('click', () => {
+            if (this.onCycleSpeed) this.onCycleSpeed();
+        });
+        this.exitBtn.addEventListener('click', () => {
+            if (this.onExit) this.onExit();
+        });
+
+        // Preview the time while dragging, seek once released
+        this.scrubber.addEventListener('input', () => {
+            this.scrubbing = true;
+            this.updateTimeText(Number(this.scrubber.value));
+        });
+        this.scrubber.addEventListener('change', () => {
+            this.scrubbing = false;
+            if (this.onSeek) this.onSeek(Number(this.scrubber.value));
+        });
+    }
+
+    /**
+     * Show the controls for a replay
+     * @param {number} totalTicks - Length of the replay in ticks
+     */
+    show(totalTicks) {
+        this.totalTicks = totalTicks;
+        this.scrubber.max = totalTicks;
+        this.scrubber.value = 0;
+        this.setPaused(false);
+        this.setSpeed(REPLAY_CONFIG.speeds[0]);
+        this.container.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the controls
+     */
+    hide() {
+        this.container.classList.add('hidden');
+    }
+
+    /**
+     * Update the pause button
+     * @param {boolean} paused - Whether playback is paused
+     */
+    setPaused(paused) {
+        this.pauseBtn.textContent = paused ? '▶' : '⏸';
+    }
+
+    /**
+     * Update the speed button
+     * @param {number} speed - Playback speed multiplier
+     */
+    setSpeed(speed) {
+        this.speedBtn.textContent = `${speed}x`;
+    }
+
+    /**
+     * Move the scrubber to the current tick (unless it's being dragged)
+     * @param {number} tick - Current simulation tick
+     */
+    updateProgress(tick) {
+        if (this.scrubbing) return;
+        this.scrubber.value = tick;
+        this.updateTimeText(tick);
+    }
+
+    /**
+     * Show elapsed and total time
+     * @param {number} tick - Simulation tick to show
+     */
+    updateTimeText(tick) {
+        const step = GAME_CONSTANTS.FIXED_TIMESTEP;
+        this.timeText.textContent =
+            `${formatReplayTime(tick * step)} / ${formatReplayTime(this.totalTicks * step)}`;
+    }
+}
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+function formatReplayTime(seconds) {
+    const whole = Math.floor(seconds);
+    const mins = Math.floor(whole / 60);
+    const secs = whole % 60;
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Save replay data as a JSON file download
+ * @param {Object} data - Replay data
+ */
+function downloadReplay(data) {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${REPLAY_CONFIG.fileName}-${data.seed}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+}
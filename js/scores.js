@@ -0,0 +1,231 @@
+/**
+ * SNAKE KILLER - High Scores
+ * Keeps the local leaderboard and run history in localStorage, and draws
+ * the leaderboard screen on the main menu.
+ *
+ * A run record looks like:
+ *   {id, initials, score, level, kills, duration, seed, weapons, date}
+ * where duration is in seconds and weapons maps weapon id -> shots fired.
+ */
+
+const SCORES_CONFIG = {
+    maxEntries: 10,             // Leaderboard size
+    maxHistory: 50,             // Runs kept in the history log
+    initialsLength: 3,
+    defaultInitials: 'AAA',
+    storageKeys: {
+        scores: 'snakeKiller_scores',
+        history: 'snakeKiller_history',
+        initials: 'snakeKiller_initials'
+    }
+};
+
+/**
+ * ScoreBoard class
+ * Loads, ranks and saves finished runs
+ */
+class ScoreBoard {
+    constructor() {
+        this.entries = this.load(SCORES_CONFIG.storageKeys.scores);
+        this.history = this.load(SCORES_CONFIG.storageKeys.history);
+        this.initials = localStorage.getItem(SCORES_CONFIG.storageKeys.initials) ||
+            SCORES_CONFIG.defaultInitials;
+    }
+
+    /**
+     * Read a saved list
+     * @param {string} key - localStorage key
+     * @returns {Array} Saved records, or an empty list if missing or corrupt
+     */
+    load(key) {
+        try {
+            const list = JSON.parse(localStorage.getItem(key));
+            return Array.isArray(list) ? list : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Write both lists back to storage
+     */
+    save() {
+        localStorage.setItem(SCORES_CONFIG.storageKeys.scores, JSON.stringify(this.entries));
+        localStorage.setItem(SCORES_CONFIG.storageKeys.history, JSON.stringify(this.history));
+    }
+
+    /**
+     * Best score so far
+     * @returns {number} Top score, or 0 with an empty leaderboard
+     */
+    getBest() {
+        return this.entries.length > 0 ? this.entries[0].score : 0;
+    }
+
+    /**
+     * Record a finished run in the history and, if it qualifies, the leaderboard
+     * @param {Object} run - {score, level, kills, duration, seed, weapons}
+     * @returns {Object} {entry, rank, isRecord}; rank is -1 off the leaderboard
+     */
+    addRun(run) {
+        const previousBest = this.getBest();
+        const entry = {
+            id: `${Date.now()}-${run.seed}`,
+            initials: this.initials,
+            date: new Date().toISOString(),
+            ...run
+        };
+
+        this.history.unshift(entry);
+        this.history.length = Math.min(this.history.length, SCORES_CONFIG.maxHistory);
+
+        // Ties keep the older run ahead
+        let rank = this.entries.findIndex(e => entry.score > e.score);
+        if (rank === -1) rank = this.entries.length;
+
+        if (rank < SCORES_CONFIG.maxEntries && entry.score > 0) {
+            this.entries.splice(rank, 0, entry);
+            this.entries.length = Math.min(this.entries.length, SCORES_CONFIG.maxEntries);
+        } else {
+            rank = -1;
+        }
+
+        this.save();
+
+        return {
+            entry,
+            rank,
+            isRecord: rank === 0 && entry.score > previousBest
+        };
+    }
+
+    /**
+     * Change the initials on a saved run (and remember them for next time)
+     * @param {string} id - Run id
+     * @param {string} initials - New initials
+     * @returns {string} Cleaned-up initials that were saved
+     */
+    setInitials(id, initials) {
+        const clean = ScoreBoard.cleanInitials(initials);
+
+        this.initials = clean;
+        localStorage.setItem(SCORES_CONFIG.storageKeys.initials, clean);
+
+        [this.entries, this.history].forEach(list => {
+            const entry = list.find(e => e.id === id);
+            if (entry) entry.initials = clean;
+        });
+        this.save();
+
+        return clean;
+    }
+
+    /**
+     * Uppercase letters and digits only, padded to a fixed length
+     * @param {string} text - Raw input
+     * @returns {string} Initials
+     */
+    static cleanInitials(text) {
+        const letters = String(text).toUpperCase().replace(/[^A-Z0-9]/g, '')
+            .slice(0, SCORES_CONFIG.initialsLength);
+        return letters || SCORES_CONFIG.defaultInitials;
+    }
+
+    /**
+     * Weapon a run fired the most
+     * @param {Object} weapons - Weapon id -> shots fired
+     * @returns {string|null} Weapon id, or null if nothing was fired
+     */
+    static favoriteWeapon(weapons) {
+        let best = null;
+        Object.keys(weapons || {}).forEach(id => {
+            if (best === null || weapons[id] > weapons[best]) best = id;
+        });
+        return best;
+    }
+
+    /**
+     * Forget all saved runs
+     */
+    clear() {
+        this.entries = [];
+        this.history = [];
+        this.save();
+    }
+}
+
+/**
+ * LeaderboardView class
+ * Main-menu screen listing the top runs and recent history
+ */
+class LeaderboardView {
+    /**
+     * @param {ScoreBoard} scoreBoard - Saved runs to show
+     */
+    constructor(scoreBoard) {
+        this.scoreBoard = scoreBoard;
+        this.screen = document.getElementById('leaderboard');
+        this.scoresBody = document.getElementById('leaderboard-scores');
+        this.historyBody = document.getElementById('leaderboard-history');
+        this.emptyText = document.getElementById('leaderboard-empty');
+    }
+
+    /**
+     * Fill in the tables and show the screen
+     */
+    show() {
+        const entries = this.scoreBoard.entries;
+        this.scoresBody.innerHTML = entries.map((entry, i) => `
+            <tr>
+                <td>${i + 1}</td>
+                <td class="lb-initials">${entry.initials}</td>
+                <td class="lb-score">${entry.score.toLocaleString()}</td>
+                <td>${entry.level}</td>
+                <td>${entry.kills}</td>
+                <td>${formatReplayTime(entry.duration)}</td>
+                <td>${this.weaponName(entry.weapons)}</td>
+                <td class="lb-seed">${entry.seed}</td>
+                <td>${this.formatDate(entry.date)}</td>
+            </tr>`).join('');
+        this.emptyText.classList.toggle('hidden', entries.length > 0);
+
+        this.historyBody.innerHTML = this.scoreBoard.history.map(run => `
+            <tr>
+                <td>${this.formatDate(run.date)}</td>
+                <td class="lb-score">${run.score.toLocaleString()}</td>
+                <td>${run.level}</td>
+                <td>${run.kills}</td>
+                <td>${formatReplayTime(run.duration)}</td>
+                <td class="lb-seed">${run.seed}</td>
+            </tr>`).join('');
+
+        this.screen.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the screen
+     */
+    hide() {
+        this.screen.classList.add('hidden');
+    }
+
+    /**
+     * Display name of a run's most-used weapon
+     * @param {Object} weapons - Weapon id -> shots fired
+     * @returns {string} Weapon name
+     */
+    weaponName(weapons) {
+        const id = ScoreBoard.favoriteWeapon(weapons);
+        const weapon = Object.values(WEAPONS).find(w => w.id === id);
+        return weapon ? weapon.name : '-';
+    }
+
+    /**
+     * Short local date
+     * @param {string} iso - ISO timestamp
+     * @returns {string} Formatted date
+     */
+    formatDate(iso) {
+        return new Date(iso).toLocaleDateString();
+    }
+}
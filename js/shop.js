@@ -0,0 +1,79 @@
+/**
+ * SNAKE KILLER - Upgrade Shop
+ * Screen for spending points on power-pack upgrade tiers (POWER_PACK_TIERS).
+ * Opens between waves or from the pause menu; the game pays through the
+ * simulation, so purchases land in replays like any other input.
+ */
+
+class ShopView {
+    constructor() {
+        this.screen = document.getElementById('shop');
+        this.cards = document.getElementById('shop-cards');
+        this.pointsText = document.getElementById('shop-points');
+
+        // Callback
+        this.onBuy = null;      // (packId) => void
+    }
+
+    /**
+     * Check if the shop is showing
+     * @returns {boolean} True while open
+     */
+    isOpen() {
+        return !this.screen.classList.contains('hidden');
+    }
+
+    /**
+     * Show the shop
+     * @param {number} points - Points to spend
+     * @param {PowerupManager} powerupManager - Knows the tiers bought so far
+     */
+    show(points, powerupManager) {
+        this.update(points, powerupManager);
+        this.screen.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the shop
+     */
+    hide() {
+        this.screen.classList.add('hidden');
+    }
+
+    /**
+     * Redraw the cards, e.g. after a purchase
+     * @param {number} points - Points to spend
+     * @param {PowerupManager} powerupManager - Knows the tiers bought so far
+     */
+    update(points, powerupManager) {
+        this.pointsText.textContent = points;
+        this.cards.innerHTML = '';
+
+        Object.values(POWER_PACKS).forEach(pack => {
+            const tiers = POWER_PACK_TIERS[pack.id] || [];
+            const bought = powerupManager.getTier(pack.id);
+            const next = powerupManager.getNextTier(pack.id);
+            const affordable = next !== null && points >= next.cost;
+
+            const pips = tiers.map((tier, i) =>
+                `<span class="shop-pip${i < bought ? ' owned' : ''}"></span>`).join('');
+
+            const card = document.createElement('button');
+            card.className = 'shop-card';
+            card.classList.toggle('maxed', next === null);
+            card.disabled = !affordable;
+            card.innerHTML = `
+                <span class="shop-icon">${pack.icon}</span>
+                <span class="shop-name">${pack.name}</span>
+                <span class="shop-pips">${pips}</span>
+                <span class="shop-next">${next ? next.description : 'Fully upgraded'}</span>
+                <span class="shop-cost">${next ? `${next.cost} PTS` : 'MAXED'}</span>
+            `;
+            card.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (affordable && this.onBuy) this.onBuy(pack.id);
+            });
+            this.cards.appendChild(card);
+        });
+    }
+}
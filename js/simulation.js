@@ -0,0 +1,961 @@
+/**
+ * SNAKE KILLER - Simulation
+ * The game world with no DOM, canvas or audio: player, snakes, bullets,
+ * waves, leveling, power-ups and the ally. Game drives it in the browser
+ * and reacts to its events; headless.js drives it under Node.
+ *
+ * Events passed to onEvent(type, data):
+ *   'shoot'            {source: 'player' | 'ally'}
+ *   'dryFire'                              Player pulled the trigger on an empty gun
+ *   'dash'                                 Player started a dash
+ *   'weaponSwitch'     {id}
+ *   'weaponUnlocked'   {weapon, source}    Locked weapon freed: 'level' or 'points'
+ *   'powerPack'        {pack, result}      Power pack bought: 'started', 'extended',
+ *                                          'refreshed' or 'queued'
+ *   'powerupsChanged'  {powerups}          Active power-up list changed
+ *   'points'           {points}
+ *   'xp'               {xp, xpToNext, level}
+ *   'levelUp'          {level}
+ *   'perkOffer'        {choices}           Play is on hold until one is picked
+ *   'perkChosen'       {perk, perks}
+ *   'waveStart'        {wave, name}
+ *   'snakeKilled'      {snake}
+ *   'heal'             {amount}
+ *   'pickup'           {powerup}           Field pickup collected (power-up or AMMO_PICKUP)
+ *   'nuke'             {kills}
+ *   'explosion'        {x, y, radius, ringTime}  Explosive shell burst
+ *   'packUpgraded'     {pack, tier}        Shop upgrade bought
+ *   'waveComplete'     {wave}              Rest break (shop time) begins
+ *   'allySpawn' / 'allyDespawn'
+ *   'bossSpawn'        {boss}
+ *   'bossDefeated'     {boss}
+ *   'gameOver'
+ */
+
+class Simulation {
+    /**
+     * Create a simulation
+     * @param {number} width - Arena width
+     * @param {number} height - Arena height
+     */
+    constructor(width = GAME_CONSTANTS.CANVAS_WIDTH, height = GAME_CONSTANTS.CANVAS_HEIGHT) {
+        this.width = width;
+        this.height = height;
+        this.timestep = GAME_CONSTANTS.FIXED_TIMESTEP;
+
+        // Systems
+        this.leveling = new LevelingSystem();
+        this.powerupManager = new PowerupManager();
+        this.waveDirector = new WaveDirector();
+
+        // Entities
+        this.player = null;
+        this.bullets = [];
+        this.snakes = [];
+        this.enemyProjectiles = [];
+        this.pickups = [];
+        this.ally = null;
+        this.boss = null;
+        this.bossPending = false;
+
+        // Collision broadphase
+        this.spatialHash = new SpatialHash(GAME_CONSTANTS.SPATIAL_HASH_CELL_SIZE);
+        this.useSpatialHash = true;
+
+        // Run state
+        this.seed = 0;
+        this.tick = 0;          // Steps simulated
+        this.time = 0;          // Seconds simulated
+        this.points = 0;
+        this.weaponShots = {};  // Weapon id -> player shots fired
+        this.unlockedWeapons = new Set();   // IDs of weapons with an unlock that are free to use
+        this.gameOver = false;
+
+        // Level-up perks
+        this.perkChoices = null;    // Perk IDs on offer; the world is on hold while set
+        this.pendingPerkOffers = 0; // Level-ups still waiting for an offer
+
+        // Callbacks
+        this.onEvent = null;
+
+        this.setupCallbacks();
+    }
+
+    /**
+     * Forward system callbacks as simulation events
+     */
+    setupCallbacks() {
+        this.leveling.onLevelUp = (level) => {
+            // Boss every few levels
+            if (level % BOSS_CONFIG.levelInterval === 0) {
+                this.bossPending = true;
+            }
+            this.emit('levelUp', { level });
+            this.unlockWeaponsForLevel(level);
+
+            this.pendingPerkOffers++;
+            if (!this.perkChoices) {
+                this.offerPerks();
+            }
+        };
+
+        this.leveling.onXpChange = (xp, xpToNext, level) => {
+            this.emit('xp', { xp, xpToNext, level });
+        };
+
+        this.waveDirector.onWaveStart = (wave, name) => {
+            this.emit('waveStart', { wave, name });
+        };
+
+        this.waveDirector.onWaveComplete = (wave) => {
+            this.emit('waveComplete', { wave });
+        };
+
+        this.powerupManager.setHudCallback((powerups) => {
+            this.emit('powerupsChanged', { powerups });
+        });
+    }
+
+    /**
+     * Send an event to the listener, if any
+     * @param {string} type - Event type
+     * @param {Object} data - Event data
+     */
+    emit(type, data = {}) {
+        if (this.onEvent) {
+            this.onEvent(type, data);
+        }
+    }
+
+    /**
+     * Start a fresh run
+     * @param {number} seed - RNG seed for the run
+     * @param {Array} loadout - IDs of locked weapons to start with unlocked
+     */
+    reset(seed, loadout = []) {
+        // Seed all gameplay randomness so the run can be reproduced
+        this.seed = seed;
+        rng.setSeed(seed);
+
+        this.player = new Player(this.width / 2, this.height / 2);
+
+        // Projectiles from the last run go back to the pool
+        bulletPool.releaseAll(this.bullets);
+        bulletPool.releaseAll(this.enemyProjectiles);
+        this.snakes = [];
+        this.pickups = [];
+        this.ally = null;
+        this.boss = null;
+        this.bossPending = false;
+
+        this.tick = 0;
+        this.time = 0;
+        this.points = 0;
+        this.weaponShots = {};
+        this.unlockedWeapons = new Set(loadout);
+        this.gameOver = false;
+        this.perkChoices = null;
+        this.pendingPerkOffers = 0;
+
+        this.leveling.reset();
+        this.waveDirector.reset();
+        this.powerupManager.reset(this.player, this.snakes);
+    }
+
+    /**
+     * Advance one fixed step
+     * @param {Array} actions - Input actions to apply first (see replay.js)
+     */
+    step(actions = []) {
+        if (this.gameOver) return;
+
+        this.savePreviousPositions();
+        actions.forEach(action => this.applyInput(action));
+
+        // The world holds still while a perk choice is open
+        if (!this.perkChoices) {
+            this.update(this.timestep);
+            this.time += this.timestep;
+        }
+        this.tick++;
+    }
+
+    /**
+     * Run several steps, asking a script for each step's input
+     * @param {number} ticks - Steps to run
+     * @param {Function} script - (sim) => actions for the next step, optional
+     * @returns {Object} State after the last step
+     */
+    run(ticks, script = null) {
+        for (let i = 0; i < ticks && !this.gameOver; i++) {
+            this.step(script ? script(this) || [] : []);
+        }
+        return this.getState();
+    }
+
+    /**
+     * Apply one input action
+     * @param {Array} action - Input action (see replay.js)
+     */
+    applyInput(action) {
+        switch (action[0]) {
+            case 'k':
+                this.player.handleKeyInput(action[1], action[2]);
+                break;
+            case 'a':
+                this.player.handleMouseInput(action[1], action[2], action[3]);
+                break;
+            case 'g':
+                this.player.handlePadInput(action[1], action[2], action[3], action[4], action[5]);
+                break;
+            case 'w':
+                this.switchWeapon(action[1]);
+                break;
+            case 'p':
+                this.handlePowerupActivation(action[1]);
+                break;
+            case 'u':
+                this.choosePerk(action[1]);
+                break;
+            case 's':
+                this.buyUpgrade(action[1]);
+                break;
+            case 'l':
+                this.buyWeapon(action[1]);
+                break;
+        }
+    }
+
+    /**
+     * Roll a choice of perks for the next waiting level-up
+     */
+    offerPerks() {
+        this.pendingPerkOffers--;
+
+        // Shuffle the perks that can still stack, keep the first few
+        const available = Object.values(PERKS)
+            .filter(perk => this.player.getPerkStacks(perk.id) < perk.maxStacks)
+            .map(perk => perk.id);
+        for (let i = available.length - 1; i > 0; i--) {
+            const j = Math.floor(rng.next() * (i + 1));
+            [available[i], available[j]] = [available[j], available[i]];
+        }
+
+        if (available.length === 0) {
+            this.pendingPerkOffers = 0;  // Everything is maxed out
+            return;
+        }
+
+        this.perkChoices = available.slice(0, PERK_CONFIG.choices);
+        this.emit('perkOffer', { choices: this.perkChoices });
+    }
+
+    /**
+     * Take one of the offered perks
+     * @param {string} perkId - Perk ID from perkChoices
+     */
+    choosePerk(perkId) {
+        if (!this.perkChoices || !this.perkChoices.includes(perkId)) return;
+
+        this.player.addPerk(perkId);
+        this.perkChoices = null;
+        this.emit('perkChosen', { perk: getPerk(perkId), perks: { ...this.player.perks } });
+
+        if (this.pendingPerkOffers > 0) {
+            this.offerPerks();
+        }
+    }
+
+    /**
+     * Switch the player's weapon
+     * @param {string} id - Weapon ID to switch to
+     */
+    switchWeapon(id) {
+        if (this.player.currentWeapon && this.player.currentWeapon.id === id) {
+            return; // No switch needed
+        }
+        if (!this.isWeaponUnlocked(id)) return;
+
+        this.player.setWeapon(id);
+        this.emit('weaponSwitch', { id });
+    }
+
+    /**
+     * Check if a weapon can be used this run
+     * @param {string} id - Weapon ID
+     * @returns {boolean} True if it has no unlock or has been unlocked
+     */
+    isWeaponUnlocked(id) {
+        const weapon = Object.values(WEAPONS).find(w => w.id === id);
+        return !!weapon && (!weapon.unlock || this.unlockedWeapons.has(id));
+    }
+
+    /**
+     * Free a locked weapon for the rest of the run
+     * @param {Object} weapon - Weapon from WEAPONS
+     * @param {string} source - 'level' or 'points'
+     */
+    unlockWeapon(weapon, source) {
+        this.unlockedWeapons.add(weapon.id);
+        this.emit('weaponUnlocked', { weapon, source });
+    }
+
+    /**
+     * Unlock every weapon a level has reached
+     * @param {number} level - Level just reached
+     */
+    unlockWeaponsForLevel(level) {
+        Object.values(WEAPONS).forEach(weapon => {
+            if (weapon.unlock && level >= weapon.unlock.level && !this.isWeaponUnlocked(weapon.id)) {
+                this.unlockWeapon(weapon, 'level');
+            }
+        });
+    }
+
+    /**
+     * Buy a locked weapon before its level comes up
+     * @param {string} id - Weapon ID
+     */
+    buyWeapon(id) {
+        if (this.gameOver || this.isWeaponUnlocked(id)) return;
+
+        const weapon = Object.values(WEAPONS).find(w => w.id === id);
+        if (!weapon || this.points < weapon.unlock.cost) return;
+
+        this.points -= weapon.unlock.cost;
+        this.emit('points', { points: this.points });
+        this.unlockWeapon(weapon, 'points');
+    }
+
+    /**
+     * Buy and activate a power pack
+     * @param {string} packId - ID of the power pack
+     */
+    handlePowerupActivation(packId) {
+        if (this.gameOver) return;
+
+        // Find pack by ID
+        const pack = Object.values(POWER_PACKS).find(p => p.id === packId);
+        if (!pack) return;
+
+        // Check conditions
+        const cost = this.powerupManager.getPackCost(pack);
+        if (this.points < cost) return;
+        if (!this.powerupManager.canActivate(pack)) return;
+
+        // Activate, or stack onto the running pack by its rule
+        this.points -= cost;
+        const result = this.powerupManager.add(pack, this.player, this.snakes);
+        this.emit('points', { points: this.points });
+        this.emit('powerPack', { pack, result });
+    }
+
+    /**
+     * Buy a power pack's next upgrade tier in the shop
+     * @param {string} packId - ID of the power pack
+     */
+    buyUpgrade(packId) {
+        if (this.gameOver) return;
+
+        const pack = Object.values(POWER_PACKS).find(p => p.id === packId);
+        if (!pack) return;
+
+        const tier = this.powerupManager.getNextTier(packId);
+        if (!tier || this.points < tier.cost) return;
+
+        this.points -= tier.cost;
+        this.powerupManager.upgrade(packId);
+        this.emit('points', { points: this.points });
+        this.emit('packUpgraded', { pack, tier: this.powerupManager.getTier(packId) });
+    }
+
+    /**
+     * Remember where every entity was before a step, for render interpolation
+     */
+    savePreviousPositions() {
+        const save = entity => {
+            entity.prevX = entity.x;
+            entity.prevY = entity.y;
+        };
+
+        save(this.player);
+        this.snakes.forEach(save);
+        this.bullets.forEach(save);
+        this.enemyProjectiles.forEach(save);
+        if (this.ally) {
+            save(this.ally);
+        }
+    }
+
+    /**
+     * Update the world by one step
+     * @param {number} deltaTime - Step length in seconds
+     */
+    update(deltaTime) {
+        // Update player
+        const newBullet = this.player.update(deltaTime, this.width, this.height);
+        if (newBullet) {
+            if (Array.isArray(newBullet)) {
+                this.bullets.push(...newBullet);
+            } else {
+                this.bullets.push(newBullet);
+            }
+
+            const weaponId = this.player.currentWeapon.id;
+            this.weaponShots[weaponId] = (this.weaponShots[weaponId] || 0) + 1;
+            this.emit('shoot', { source: 'player' });
+        }
+        if (this.player.dryFire) {
+            this.player.dryFire = false;
+            this.emit('dryFire');
+        }
+        if (this.player.dashed) {
+            this.player.dashed = false;
+            this.emit('dash');
+        }
+
+        // Update power-ups (pass snakes for freeze expiration)
+        this.powerupManager.update(deltaTime, this.player, this.snakes);
+        this.awardPowerupKills();
+
+        // Handle ally spawning from Call for Help
+        if (this.powerupManager.pendingAllySpawn && !this.ally) {
+            const powerups = this.powerupManager;
+            this.ally = new Ally(this.width, this.height, this.player.currentWeapon);
+            this.ally.lifespan = (this.ally.lifespan + powerups.getTierBonus('callForHelp', 'duration')) *
+                (1 + this.player.getPerkBonus(PERKS.LONG_LASTING));
+            this.ally.setFireRateBonus(this.player.getPerkBonus(PERKS.ALLY_TRAINING) +
+                powerups.getTierBonus('callForHelp', 'allyFireRate'));
+            this.powerupManager.pendingAllySpawn = false;
+            this.emit('allySpawn');
+        }
+
+        // Update ally if active
+        if (this.ally) {
+            this.updateAlly(deltaTime);
+        }
+
+        // Spawn snakes
+        this.spawnSnakes(deltaTime);
+
+        // Update bullets, recycling the ones that hit or left the screen
+        this.bullets.forEach(bullet => {
+            if (bullet.active) {
+                if (bullet.homing) {
+                    bullet.steer(deltaTime, this.snakes);
+                }
+                bullet.update(deltaTime, this.width, this.height);
+                if (bullet.detonated) {
+                    this.explode(bullet);
+                }
+            }
+        });
+        bulletPool.releaseInactive(this.bullets);
+
+        // Update snakes (spitters may fire venom)
+        this.snakes.forEach(snake => {
+            const projectile = snake.update(deltaTime, this.player.x, this.player.y);
+            if (projectile) {
+                this.enemyProjectiles.push(projectile);
+            }
+        });
+
+        // Add minions the boss summoned
+        if (this.boss && this.boss.pendingMinions.length > 0) {
+            this.snakes.push(...this.boss.pendingMinions);
+            this.boss.pendingMinions = [];
+        }
+
+        // Update enemy projectiles
+        this.enemyProjectiles.forEach(projectile => {
+            if (projectile.active) {
+                projectile.update(deltaTime, this.width, this.height);
+            }
+        });
+        bulletPool.releaseInactive(this.enemyProjectiles);
+
+        // Check collisions
+        this.checkCollisions();
+
+        // A beam weapon burns everything along it
+        if (this.player.isFiringBeam()) {
+            this.sweepBeam(this.player.getBeam(), deltaTime);
+        }
+
+        // Field pickups (a nuke kills here, before dead snakes are removed)
+        this.updatePickups(deltaTime);
+
+        // Remove inactive snakes
+        this.snakes = this.snakes.filter(snake => snake.active);
+
+        // Check for game over
+        if (!this.player.active) {
+            this.gameOver = true;
+            this.emit('gameOver');
+        }
+    }
+
+    /**
+     * Update the ally and retire it when its time is up
+     * @param {number} deltaTime - Step length in seconds
+     */
+    updateAlly(deltaTime) {
+        const allyBullets = this.ally.update(deltaTime, this.snakes);
+        if (allyBullets) {
+            if (Array.isArray(allyBullets)) {
+                this.bullets.push(...allyBullets);
+            } else {
+                this.bullets.push(allyBullets);
+            }
+            this.emit('shoot', { source: 'ally' });
+        }
+
+        if (!this.ally.active) {
+            this.ally = null;
+            // Call for Help ends with the ally (a queued call sends the next one)
+            this.powerupManager.end('callForHelp', this.player, this.snakes);
+            this.emit('allyDespawn');
+        } else {
+            // Remaining time follows the ally's lifespan
+            const callForHelpPowerup = this.powerupManager.activePowerups.get('callForHelp');
+            if (callForHelpPowerup) {
+                callForHelpPowerup.remainingTime = this.ally.getRemainingTime();
+            }
+        }
+    }
+
+    /**
+     * Spawn snakes requested by the wave director
+     * @param {number} deltaTime - Step length in seconds
+     */
+    spawnSnakes(deltaTime) {
+        if (this.bossPending && !this.boss) {
+            this.spawnBoss();
+        }
+
+        // Normal spawning pauses while the boss is alive
+        if (this.boss) return;
+
+        const difficulty = this.leveling.getDifficultyInfo();
+        const spawns = this.waveDirector.update(deltaTime, this.snakes.length, difficulty);
+
+        spawns.forEach(spawn => {
+            this.snakes.push(createSnake(
+                spawn.type,
+                this.width,
+                this.height,
+                this.leveling.level,
+                spawn.edge
+            ));
+        });
+    }
+
+    /**
+     * Bring in the boss for the current level
+     */
+    spawnBoss() {
+        this.bossPending = false;
+        this.boss = new BossSnake(this.width, this.height, this.leveling.level);
+        this.snakes.push(this.boss);
+        this.emit('bossSpawn', { boss: this.boss });
+    }
+
+    /**
+     * Check all collisions
+     */
+    checkCollisions() {
+        const playerBounds = this.player.getCollisionBounds();
+
+        // Snakes spawned during this pass (splitter offspring) join next step
+        const snakes = this.snakes.slice();
+        if (this.useSpatialHash) {
+            this.buildSpatialHash(snakes);
+        }
+
+        // Check bullet-snake collisions
+        this.bullets.forEach(bullet => {
+            if (!bullet.active) return;
+            const bulletBounds = bullet.getCollisionBounds();
+
+            this.getNearbySnakes(bulletBounds, snakes).forEach(snake => {
+                // A bullet is spent on the first snake it hits (unless it pierces)
+                if (!bullet.active || !snake.active || snake === bullet.lastHit) return;
+                const segmentIndex = snake.hitTest(bulletBounds);
+
+                if (segmentIndex !== -1) {
+                    bullet.hit(snake);
+
+                    // Explosive shells deal their damage through the blast
+                    if (bullet.detonated) {
+                        this.explode(bullet);
+                        return;
+                    }
+
+                    const killed = snake.takeDamage(bullet.damage, segmentIndex);
+
+                    if (killed) {
+                        this.handleSnakeKilled(snake);
+                    }
+                }
+            });
+        });
+
+        // Check venom-player collisions
+        this.enemyProjectiles.forEach(projectile => {
+            if (!projectile.active) return;
+            const projectileBounds = projectile.getCollisionBounds();
+
+            if (this.useSpatialHash &&
+                !this.spatialHash.query('friendly', projectileBounds).includes(this.player)) {
+                return;
+            }
+
+            if (circleCollision(playerBounds, projectileBounds)) {
+                projectile.destroy();
+                this.player.takeDamage(projectile.damage);
+            }
+        });
+
+        // Check snake-player collisions
+        this.getNearbySnakes(playerBounds, snakes).forEach(snake => {
+            if (!snake.active) return;
+
+            const segmentIndex = snake.hitTest(playerBounds);
+            if (segmentIndex === -1) return;
+
+            // A dash passes through snakes, striking each once with Dash Strike
+            if (this.player.isDashing()) {
+                this.dashStrike(snake, segmentIndex);
+                return;
+            }
+
+            this.player.takeDamage(snake.getContactDamage());
+
+            // Snake disappears after hitting player (bosses stay)
+            if (!snake.isBoss) {
+                // A reflecting shield hits back first
+                if (this.player.powerups.shield &&
+                    this.powerupManager.hasTierEffect('shield', 'reflect') &&
+                    snake.takeDamage(POWER_PACK_EFFECTS.reflectDamage)) {
+                    this.handleSnakeKilled(snake);
+                }
+                snake.active = false;
+            }
+        });
+    }
+
+    /**
+     * Hit a snake the player is dashing through, once per dash
+     * @param {Snake} snake - Snake touching the player
+     * @param {number} segmentIndex - Segment the player touched
+     */
+    dashStrike(snake, segmentIndex) {
+        const damage = this.player.getPerkBonus(PERKS.DASH_STRIKE);
+        if (damage === 0 || this.player.dashHits.includes(snake)) return;
+
+        this.player.dashHits.push(snake);
+        if (snake.takeDamage(damage, segmentIndex)) {
+            this.handleSnakeKilled(snake);
+        }
+    }
+
+    /**
+     * Damage every snake the beam touches, at the first segment along it
+     * @param {Object} beam - {x1, y1, x2, y2, width, dps} from Player.getBeam
+     * @param {number} deltaTime - Step length in seconds
+     */
+    sweepBeam(beam, deltaTime) {
+        this.snakes.slice().forEach(snake => {
+            if (!snake.active) return;
+
+            const index = snake.bodySegments.findIndex(segment => segment.health > 0 &&
+                circleSegmentCollision(segment, beam.x1, beam.y1, beam.x2, beam.y2, beam.width));
+            if (index === -1) return;
+
+            // A sliver each step, so armor mustn't round it up to a full hit
+            if (snake.takeDamage(beam.dps * deltaTime, index, true)) {
+                this.handleSnakeKilled(snake);
+            }
+        });
+    }
+
+    /**
+     * Burst an explosive shell: damage falls off with distance from the
+     * center, and every snake caught in the radius is pushed away
+     * @param {Bullet} bullet - Detonated shell
+     */
+    explode(bullet) {
+        const blast = bullet.explosive;
+        bullet.detonated = false;
+
+        this.snakes.slice().forEach(snake => {
+            if (!snake.active) return;
+
+            // Measured to the closest living part of the body
+            const nearest = snake.nearestSegment(bullet.x, bullet.y);
+            if (nearest.index === -1 || nearest.distance > blast.radius) return;
+
+            const closeness = 1 - nearest.distance / blast.radius;
+            const push = normalize(snake.x - bullet.x, snake.y - bullet.y);
+            snake.applyKnockback(push.x * blast.knockback * closeness, push.y * blast.knockback * closeness);
+
+            const damage = bullet.damage * (blast.edgeDamage + (1 - blast.edgeDamage) * closeness);
+            if (snake.takeDamage(damage, nearest.index)) {
+                this.handleSnakeKilled(snake);
+            }
+        });
+
+        this.emit('explosion', { x: bullet.x, y: bullet.y, radius: blast.radius, ringTime: blast.ringTime });
+    }
+
+    /**
+     * Register this step's snakes, player and ally in the spatial hash
+     * @param {Snake[]} snakes - Snakes in collision order
+     */
+    buildSpatialHash(snakes) {
+        const hash = this.spatialHash;
+        hash.clear();
+
+        // Every body segment, so tail hits are found too
+        snakes.forEach((snake, i) => {
+            snake.bodySegments.forEach(segment => {
+                hash.insert('snakes', snake, segment, i);
+            });
+        });
+
+        hash.insert('friendly', this.player, this.player.getCollisionBounds(), 0);
+        if (this.ally) {
+            hash.insert('friendly', this.ally, { x: this.ally.x, y: this.ally.y, radius: this.ally.radius }, 1);
+        }
+    }
+
+    /**
+     * Snakes that could touch a circle - hashed neighbours or every snake
+     * @param {Object} bounds - Circle {x, y, radius}
+     * @param {Snake[]} snakes - All snakes, in collision order
+     * @returns {Snake[]} Candidate snakes, in collision order
+     */
+    getNearbySnakes(bounds, snakes) {
+        return this.useSpatialHash ? this.spatialHash.query('snakes', bounds) : snakes;
+    }
+
+    /**
+     * First snake each bullet hits this step, without applying damage
+     * @param {boolean} useHash - Query the spatial hash instead of every snake
+     * @returns {Array} [bullet, snake, segmentIndex] for each hit
+     */
+    findBulletHits(useHash) {
+        const hits = [];
+        if (useHash) {
+            this.buildSpatialHash(this.snakes);
+        }
+
+        this.bullets.forEach(bullet => {
+            if (!bullet.active) return;
+            const bounds = bullet.getCollisionBounds();
+            const candidates = useHash ? this.spatialHash.query('snakes', bounds) : this.snakes;
+
+            for (const snake of candidates) {
+                if (!snake.active) continue;
+                const segmentIndex = snake.hitTest(bounds);
+                if (segmentIndex !== -1) {
+                    hits.push([bullet, snake, segmentIndex]);
+                    break;
+                }
+            }
+        });
+
+        return hits;
+    }
+
+    /**
+     * Time brute-force against hashed collision queries on the current
+     * step, check they agree, and report the speedup
+     * @param {number} iterations - Runs of each method to average over
+     * @returns {Object} Benchmark report
+     */
+    runCollisionBenchmark(iterations = 50) {
+        let bruteHits = null;
+        let hashHits = null;
+
+        let start = performance.now();
+        for (let i = 0; i < iterations; i++) {
+            bruteHits = this.findBulletHits(false);
+        }
+        const bruteMs = (performance.now() - start) / iterations;
+
+        start = performance.now();
+        for (let i = 0; i < iterations; i++) {
+            hashHits = this.findBulletHits(true);
+        }
+        const hashMs = (performance.now() - start) / iterations;
+
+        const match = bruteHits.length === hashHits.length &&
+            bruteHits.every((hit, i) => hit.every((value, j) => value === hashHits[i][j]));
+
+        return {
+            bullets: this.bullets.length,
+            snakes: this.snakes.length,
+            bruteMs,
+            hashMs,
+            speedup: hashMs > 0 ? bruteMs / hashMs : 0,
+            match
+        };
+    }
+
+    /**
+     * Award a kill and release any snakes it splits into
+     * @param {Snake} snake - Snake that just died
+     */
+    handleSnakeKilled(snake) {
+        this.emit('snakeKilled', { snake });
+        this.leveling.addXp(snake.xpValue);
+
+        // Health regen every 5 kills
+        if (this.leveling.totalKills > 0 && this.leveling.totalKills % 5 === 0) {
+            const healAmount = 20; // Heal 20 HP
+            if (this.player.health < this.player.maxHealth) {
+                this.player.heal(healAmount);
+                this.emit('heal', { amount: healAmount });
+            }
+        }
+
+        // Points for the power-pack shop
+        this.points += snake.pointsValue;
+        this.emit('points', { points: this.points });
+
+        // Splitters break apart
+        this.snakes.push(...snake.getDeathSpawns(this.width, this.height, this.leveling.level));
+
+        this.dropPickup(snake);
+
+        if (snake === this.boss) {
+            this.boss = null;
+            this.emit('bossDefeated', { boss: snake });
+        }
+    }
+
+    /**
+     * Maybe leave a power-up where a snake died
+     * @param {Snake} snake - Snake that was killed
+     */
+    dropPickup(snake) {
+        const chance = snake.isBoss ? PICKUP_CONFIG.bossDropChance : PICKUP_CONFIG.dropChance;
+
+        let type = null;
+        if (rng.next() < chance) {
+            type = rollPickupType();
+        } else if (rng.next() < PICKUP_CONFIG.ammoDropChance) {
+            type = AMMO_PICKUP;
+        }
+        if (!type) return;
+
+        if (this.pickups.length >= PICKUP_CONFIG.maxOnField) {
+            this.pickups.shift();
+        }
+        this.pickups.push(new Pickup(snake.x, snake.y, type));
+    }
+
+    /**
+     * Age field pickups and collect the ones the player walks over
+     * @param {number} deltaTime - Step length in seconds
+     */
+    updatePickups(deltaTime) {
+        const playerBounds = this.player.getCollisionBounds();
+
+        this.pickups.forEach(pickup => {
+            pickup.update(deltaTime);
+
+            if (pickup.active && circleCollision(playerBounds, pickup.getCollisionBounds())) {
+                pickup.active = false;
+                this.collectPickup(pickup);
+            }
+        });
+
+        this.pickups = this.pickups.filter(pickup => pickup.active);
+    }
+
+    /**
+     * Activate a collected pickup
+     * @param {Pickup} pickup - Pickup the player touched
+     */
+    collectPickup(pickup) {
+        if (pickup.powerup === AMMO_PICKUP) {
+            this.player.addAmmo(PICKUP_CONFIG.ammoMagazines);
+            this.emit('pickup', { powerup: pickup.powerup });
+            return;
+        }
+
+        this.powerupManager.add(pickup.powerup, this.player, this.snakes);
+        this.emit('pickup', { powerup: pickup.powerup });
+
+        const kills = this.awardPowerupKills();
+        if (pickup.powerup.id === 'nuke') {
+            this.emit('nuke', { kills });
+        }
+    }
+
+    /**
+     * Count snakes killed by power-ups (nuke, frostbite) like any other kill
+     * @returns {number} Kills awarded
+     */
+    awardPowerupKills() {
+        const killed = this.powerupManager.pendingKills;
+        if (killed.length > 0) {
+            this.powerupManager.pendingKills = [];
+            killed.forEach(snake => this.handleSnakeKilled(snake));
+        }
+        return killed.length;
+    }
+
+    /**
+     * Plain snapshot of the run, for tests and tools
+     * @returns {Object} Current state
+     */
+    getState() {
+        return {
+            seed: this.seed,
+            tick: this.tick,
+            time: this.time,
+            gameOver: this.gameOver,
+            level: this.leveling.level,
+            xp: this.leveling.xp,
+            score: this.leveling.score,
+            kills: this.leveling.totalKills,
+            points: this.points,
+            perkChoices: this.perkChoices,
+            weaponShots: { ...this.weaponShots },
+            unlockedWeapons: Array.from(this.unlockedWeapons),
+            wave: this.waveDirector.wave,
+            player: {
+                x: this.player.x,
+                y: this.player.y,
+                health: this.player.health,
+                maxHealth: this.player.maxHealth,
+                weapon: this.player.currentWeapon.id,
+                ammo: Object.fromEntries(Object.entries(this.player.ammo)
+                    .map(([id, ammo]) => [id, { ...ammo }])),
+                reloading: this.player.isReloading(),
+                powerups: { ...this.player.powerups },
+                perks: { ...this.player.perks }
+            },
+            snakes: this.snakes.map(snake => ({
+                type: snake.archetype.id,
+                x: snake.x,
+                y: snake.y,
+                health: snake.health,
+                segments: snake.bodySegments.length,
+                isBoss: snake.isBoss
+            })),
+            bullets: this.bullets.length,
+            enemyProjectiles: this.enemyProjectiles.length,
+            pickups: this.pickups.map(pickup => ({
+                type: pickup.powerup.id,
+                x: pickup.x,
+                y: pickup.y
+            })),
+            ally: this.ally ? { x: this.ally.x, y: this.ally.y, state: this.ally.state } : null,
+            activePowerups: Array.from(this.powerupManager.activePowerups.keys())
+        };
+    }
+}
@@ -3,16 +3,107 @@
  * Handles snake spawning, movement AI, and rendering
  */
 
+// Archetype stat multipliers (applied on top of level scaling)
+// Subclasses in archetypes.js add the AI and rendering for each one
+const SNAKE_ARCHETYPES = {
+    COMMON: {
+        id: 'common',
+        name: 'Snake',
+        health: 1,
+        speed: 1,
+        size: 1,
+        xp: 1,
+        damage: 1,          // Contact damage multiplier
+        segments: [4, 7],   // Min/max body segments
+        minLevel: 1,        // First level it can spawn on
+        weight: 10          // Relative spawn chance
+    },
+    VIPER: {
+        id: 'viper',
+        name: 'Viper',
+        health: 0.45,
+        speed: 1.9,
+        size: 0.75,
+        xp: 1.3,
+        damage: 0.8,
+        segments: [6, 9],
+        minLevel: 2,
+        weight: 5,
+        hue: 55
+    },
+    PYTHON: {
+        id: 'python',
+        name: 'Python',
+        health: 3.5,
+        speed: 0.5,
+        size: 1.6,
+        xp: 3,
+        damage: 2,
+        segments: [7, 10],
+        minLevel: 4,
+        weight: 2,
+        hue: 30,
+        armor: 0.35         // Fraction of incoming damage blocked
+    },
+    SPITTER: {
+        id: 'spitter',
+        name: 'Spitter',
+        health: 0.8,
+        speed: 0.9,
+        size: 0.95,
+        xp: 2,
+        damage: 0.8,
+        segments: [4, 6],
+        minLevel: 3,
+        weight: 3,
+        hue: 280,
+        range: 280,         // Distance it stops at to spit
+        fireRate: 2.2       // Seconds between spits
+    },
+    SPLITTER: {
+        id: 'splitter',
+        name: 'Splitter',
+        health: 1.4,
+        speed: 0.8,
+        size: 1.25,
+        xp: 2,
+        damage: 1,
+        segments: [5, 7],
+        minLevel: 5,
+        weight: 3,
+        hue: 190,
+        splitCount: 2       // Children spawned on death
+    },
+    // Offspring of a splitter - never spawned by waves
+    SPLITLING: {
+        id: 'splitling',
+        name: 'Splitling',
+        health: 0.5,
+        speed: 1.4,
+        size: 0.7,
+        xp: 0.5,
+        damage: 0.6,
+        segments: [3, 4],
+        minLevel: 1,
+        weight: 0,
+        hue: 190
+    }
+};
+
 class Snake {
     /**
      * Create a new snake enemy
      * @param {number} canvasWidth - Canvas width for spawn positioning
      * @param {number} canvasHeight - Canvas height for spawn positioning
      * @param {number} level - Current player level for scaling
+     * @param {number|null} edge - Spawn edge (SPAWN_EDGES), random if null
+     * @param {Object} archetype - Entry from SNAKE_ARCHETYPES
      */
-    constructor(canvasWidth, canvasHeight, level) {
-        // Spawn at random edge
-        this.spawnAtEdge(canvasWidth, canvasHeight);
+    constructor(canvasWidth, canvasHeight, level, edge = null, archetype = SNAKE_ARCHETYPES.COMMON) {
+        this.archetype = archetype;
+
+        // Spawn at the requested (or a random) edge
+        this.spawnAtEdge(canvasWidth, canvasHeight, edge);
 
         // Scale stats based on level
         const levelMultiplier = 1 + (level - 1) * 0.2;
@@ -22,45 +113,54 @@ class Snake {
         const sizeVariation = randomRange(0.8, 1.3);
         const speedVariation = randomRange(0.8, 1.2);
 
-        this.radius = GAME_CONSTANTS.SNAKE_BASE_RADIUS * sizeVariation;
-        this.speed = GAME_CONSTANTS.SNAKE_BASE_SPEED * speedMultiplier * speedVariation;
+        this.radius = GAME_CONSTANTS.SNAKE_BASE_RADIUS * sizeVariation * archetype.size;
+        this.speed = GAME_CONSTANTS.SNAKE_BASE_SPEED * speedMultiplier * speedVariation * archetype.speed;
         this.baseSpeed = this.speed;  // Store base speed for freeze/unfreeze
-        this.maxHealth = Math.floor(GAME_CONSTANTS.SNAKE_BASE_HEALTH * levelMultiplier * sizeVariation);
+        this.maxHealth = Math.floor(GAME_CONSTANTS.SNAKE_BASE_HEALTH * levelMultiplier * sizeVariation * archetype.health);
         this.health = this.maxHealth;
-        this.xpValue = Math.floor(GAME_CONSTANTS.SNAKE_BASE_XP * levelMultiplier);
+        this.xpValue = Math.floor(GAME_CONSTANTS.SNAKE_BASE_XP * levelMultiplier * archetype.xp);
+        this.pointsValue = 1;
 
-        // Visual properties - color based on strength
-        this.hue = this.calculateHue(levelMultiplier * sizeVariation);
+        // Visual properties - archetype hue, or color based on strength
+        this.hue = archetype.hue !== undefined ?
+            archetype.hue : this.calculateHue(levelMultiplier * sizeVariation);
         this.bodySegments = this.createBodySegments();
 
         // Movement
         this.vx = 0;
         this.vy = 0;
+        this.knockbackX = 0;    // Blast push (px/s), fades out
+        this.knockbackY = 0;
+        this.knockbackScale = 1;
         this.targetX = canvasWidth / 2;
         this.targetY = canvasHeight / 2;
 
         // Animation
-        this.wobbleOffset = Math.random() * Math.PI * 2;
+        this.wobbleOffset = randomRange(0, Math.PI * 2);
         this.wobbleSpeed = randomRange(3, 6);
+        this.wobbleStrength = 0.3;
+        this.wobbleTime = 0;    // Simulation seconds driving the wobble
 
         // State
         this.active = true;
         this.hitFlash = 0;
+        this.isBoss = false;
 
         // === NEW: Freeze state for freeze power-up ===
         this.frozen = false;
     }
 
     /**
-     * Spawn snake at a random screen edge
+     * Spawn snake at a screen edge
      * @param {number} canvasWidth - Canvas width
      * @param {number} canvasHeight - Canvas height
+     * @param {number|null} edge - Edge index (0 top, 1 right, 2 bottom, 3 left), random if null
      */
-    spawnAtEdge(canvasWidth, canvasHeight) {
-        const edge = randomInt(0, 3);
+    spawnAtEdge(canvasWidth, canvasHeight, edge = null) {
+        const side = edge === null ? randomInt(0, 3) : edge;
         const margin = 50;
 
-        switch (edge) {
+        switch (side) {
             case 0: // Top
                 this.x = randomRange(0, canvasWidth);
                 this.y = -margin;
@@ -93,38 +193,55 @@ class Snake {
     }
 
     /**
-     * Create body segment positions for snake rendering
+     * Create body segments - used for rendering and per-segment hitboxes
      * @returns {Array} Array of segment objects
      */
     createBodySegments() {
         const segments = [];
-        const numSegments = randomInt(4, 7);
+        const numSegments = randomInt(this.archetype.segments[0], this.archetype.segments[1]);
+        const segmentHealth = Math.ceil(this.maxHealth * GAME_CONSTANTS.SNAKE_SEGMENT_HEALTH_RATIO);
 
         for (let i = 0; i < numSegments; i++) {
             segments.push({
                 x: this.x,
                 y: this.y,
-                radius: this.radius * (1 - i * 0.1)
+                radius: this.radius * (1 - i * 0.1),
+                health: segmentHealth,
+                maxHealth: segmentHealth
             });
         }
 
         return segments;
     }
 
+    /**
+     * Move the snake to a position and straighten its body there
+     * Used for snakes that don't enter from an edge (e.g. splitter offspring)
+     * @param {number} x - New X position
+     * @param {number} y - New Y position
+     */
+    placeAt(x, y) {
+        this.x = x;
+        this.y = y;
+        this.bodySegments.forEach(segment => {
+            segment.x = x;
+            segment.y = y;
+        });
+    }
+
     /**
      * Update snake position and behavior
      * @param {number} deltaTime - Time since last frame
      * @param {number} playerX - Player X position
      * @param {number} playerY - Player Y position
+     * @returns {Bullet|null} Projectile fired this frame, if any
      */
     update(deltaTime, playerX, playerY) {
         // === NEW: Skip movement if frozen ===
         if (this.frozen) {
             // Still update hit flash even when frozen
-            if (this.hitFlash > 0) {
-                this.hitFlash -= deltaTime * 5;
-            }
-            return;
+            this.updateHitFlash(deltaTime);
+            return null;
         }
 
         // Update target position (move toward player)
@@ -142,20 +259,60 @@ class Snake {
             this.vy = (dy / dist) * this.speed;
         }
 
-        // Add wobble for organic movement
-        const wobble = Math.sin(Date.now() * 0.005 * this.wobbleSpeed + this.wobbleOffset);
-        const perpX = -this.vy;
-        const perpY = this.vx;
-        const wobbleStrength = 0.3;
-
-        // Update position
-        this.x += (this.vx + perpX * wobble * wobbleStrength) * deltaTime;
-        this.y += (this.vy + perpY * wobble * wobbleStrength) * deltaTime;
+        this.move(deltaTime);
 
         // Update body segments (follow the head)
         this.updateBodySegments();
 
         // Update hit flash
+        this.updateHitFlash(deltaTime);
+
+        return null;
+    }
+
+    /**
+     * Apply current velocity plus a sideways wobble for organic movement
+     * @param {number} deltaTime - Time since last frame
+     */
+    move(deltaTime) {
+        this.wobbleTime += deltaTime;
+        const wobble = Math.sin(this.wobbleTime * 5 * this.wobbleSpeed + this.wobbleOffset);
+        const perpX = -this.vy;
+        const perpY = this.vx;
+
+        this.x += (this.vx + perpX * wobble * this.wobbleStrength) * deltaTime;
+        this.y += (this.vy + perpY * wobble * this.wobbleStrength) * deltaTime;
+
+        // Blast knockback slides the snake on top of its own movement
+        if (this.knockbackX !== 0 || this.knockbackY !== 0) {
+            this.x += this.knockbackX * deltaTime;
+            this.y += this.knockbackY * deltaTime;
+
+            const fade = Math.max(0, 1 - GAME_CONSTANTS.SNAKE_KNOCKBACK_FADE * deltaTime);
+            this.knockbackX *= fade;
+            this.knockbackY *= fade;
+            if (Math.abs(this.knockbackX) + Math.abs(this.knockbackY) < 1) {
+                this.knockbackX = 0;
+                this.knockbackY = 0;
+            }
+        }
+    }
+
+    /**
+     * Push the snake away from a blast
+     * @param {number} vx - Push speed X (px/s)
+     * @param {number} vy - Push speed Y (px/s)
+     */
+    applyKnockback(vx, vy) {
+        this.knockbackX += vx * this.knockbackScale;
+        this.knockbackY += vy * this.knockbackScale;
+    }
+
+    /**
+     * Fade the white hit flash
+     * @param {number} deltaTime - Time since last frame
+     */
+    updateHitFlash(deltaTime) {
         if (this.hitFlash > 0) {
             this.hitFlash -= deltaTime * 5;
         }
@@ -195,25 +352,65 @@ class Snake {
      */
     render(ctx) {
         ctx.save();
+        this.drawBody(ctx, this.getColors());
+        this.drawEyes(ctx);
+        this.drawHealthBar(ctx);
+        ctx.restore();
+    }
+
+    /**
+     * Base skin colors for this snake
+     * @returns {{body: string, head: string, pattern: string}} Colors
+     */
+    getPalette() {
+        return {
+            body: hslToHex(this.hue, 70, 45),
+            head: hslToHex(this.hue, 80, 55),
+            pattern: hslToHex(this.hue, 60, 35)
+        };
+    }
 
+    /**
+     * Colors to draw with, accounting for freeze and hit flash
+     * @returns {{body: string, head: string, pattern: string}} Colors
+     */
+    getColors() {
         // Determine colors based on state
         const flashAlpha = Math.max(0, this.hitFlash);
+        const palette = this.getPalette();
 
         // === NEW: Apply frozen blue tint if frozen ===
-        let bodyColor, headColor;
         if (this.frozen) {
             // Frozen snakes have icy blue color
-            bodyColor = 'rgba(100, 180, 255, 0.9)';
-            headColor = 'rgba(150, 200, 255, 0.95)';
+            return {
+                body: 'rgba(100, 180, 255, 0.9)',
+                head: 'rgba(150, 200, 255, 0.95)',
+                pattern: palette.pattern
+            };
         } else if (flashAlpha > 0) {
-            bodyColor = `rgba(255, 255, 255, ${flashAlpha})`;
-            headColor = `rgba(255, 255, 255, ${flashAlpha})`;
-        } else {
-            bodyColor = hslToHex(this.hue, 70, 45);
-            headColor = hslToHex(this.hue, 80, 55);
+            return {
+                body: `rgba(255, 255, 255, ${flashAlpha})`,
+                head: `rgba(255, 255, 255, ${flashAlpha})`,
+                pattern: palette.pattern
+            };
         }
+        return palette;
+    }
 
-        // Draw body segments (back to front)
+    /**
+     * Direction the head is facing
+     * @returns {number} Angle in radians
+     */
+    getFacingAngle() {
+        return Math.atan2(this.vy, this.vx);
+    }
+
+    /**
+     * Draw body segments (back to front)
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} colors - Colors from getColors()
+     */
+    drawBody(ctx, colors) {
         for (let i = this.bodySegments.length - 1; i >= 0; i--) {
             const segment = this.bodySegments[i];
             const isHead = i === 0;
@@ -227,25 +424,39 @@ class Snake {
             // Main body
             ctx.beginPath();
             ctx.arc(segment.x, segment.y, segment.radius, 0, Math.PI * 2);
-            ctx.fillStyle = isHead ? headColor : bodyColor;
+            ctx.fillStyle = isHead ? colors.head : colors.body;
             ctx.fill();
 
             // Pattern/scales
             if (!isHead && i % 2 === 0) {
                 ctx.beginPath();
                 ctx.arc(segment.x, segment.y, segment.radius * 0.5, 0, Math.PI * 2);
-                ctx.fillStyle = hslToHex(this.hue, 60, 35);
+                ctx.fillStyle = colors.pattern;
+                ctx.fill();
+            }
+
+            // Wound that grows as a segment loses its own HP
+            if (!isHead && segment.health < segment.maxHealth) {
+                const wound = 1 - segment.health / segment.maxHealth;
+                ctx.beginPath();
+                ctx.arc(segment.x, segment.y, segment.radius * 0.8 * wound, 0, Math.PI * 2);
+                ctx.fillStyle = 'rgba(60, 0, 10, 0.7)';
                 ctx.fill();
             }
         }
+    }
 
-        // Draw eyes on head
+    /**
+     * Draw eyes on head, looking where the snake faces
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawEyes(ctx) {
         const head = this.bodySegments[0];
         const eyeOffset = this.radius * 0.4;
         const eyeRadius = this.radius * 0.25;
 
-        // Calculate eye positions based on movement direction
-        const angle = Math.atan2(this.vy, this.vx);
+        // Calculate eye positions based on facing direction
+        const angle = this.getFacingAngle();
         const eyeAngle1 = angle - Math.PI * 0.25;
         const eyeAngle2 = angle + Math.PI * 0.25;
 
@@ -273,8 +484,13 @@ class Snake {
             ctx.fillStyle = '#000000';
             ctx.fill();
         });
+    }
 
-        // Draw health bar if damaged
+    /**
+     * Draw health bar above the head if damaged
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawHealthBar(ctx) {
         if (this.health < this.maxHealth) {
             const barWidth = this.radius * 2;
             const barHeight = 4;
@@ -291,19 +507,28 @@ class Snake {
                 healthPercent > 0.25 ? '#ffaa00' : '#ff3366';
             ctx.fillRect(barX, barY, barWidth * healthPercent, barHeight);
         }
-
-        ctx.restore();
     }
 
     /**
      * Take damage from a bullet
      * @param {number} damage - Amount of damage
+     * @param {number} segmentIndex - Body segment that was hit (0 = head)
      * @returns {boolean} True if snake died
      */
-    takeDamage(damage) {
-        this.health -= damage;
+    takeDamage(damage, segmentIndex = 0) {
         this.hitFlash = 1;
 
+        // Body hits also wear down that segment, breaking the tail off there
+        if (segmentIndex > 0 && GAME_CONSTANTS.SNAKE_SEGMENT_HEALTH) {
+            const segment = this.bodySegments[segmentIndex];
+            segment.health -= damage;
+            if (segment.health <= 0) {
+                this.severTail(segmentIndex);
+            }
+        }
+
+        this.health -= damage;
+
         if (this.health <= 0) {
             this.active = false;
             return true;
@@ -311,6 +536,73 @@ class Snake {
         return false;
     }
 
+    /**
+     * Damage dealt to the player on contact
+     * @returns {number} Damage amount
+     */
+    getContactDamage() {
+        // Base damage 5 + size factor
+        return Math.floor((5 + this.radius * 0.5) * this.archetype.damage);
+    }
+
+    /**
+     * Snakes released when this one dies (see Splitter)
+     * @param {number} canvasWidth - Canvas width
+     * @param {number} canvasHeight - Canvas height
+     * @param {number} level - Current player level for scaling
+     * @returns {Snake[]} New snakes
+     */
+    getDeathSpawns(canvasWidth, canvasHeight, level) {
+        return [];
+    }
+
+    /**
+     * Shoot off the tail from a segment onward, shortening the snake
+     * @param {number} segmentIndex - First segment to remove (never the head)
+     */
+    severTail(segmentIndex) {
+        this.bodySegments.length = Math.max(1, segmentIndex);
+    }
+
+    /**
+     * Find which part of the snake a circle touches
+     * Checks every living body segment, head first
+     * @param {Object} bounds - Circle {x, y, radius}
+     * @returns {number} Segment index hit (0 = head), or -1 for a miss
+     */
+    hitTest(bounds) {
+        for (let i = 0; i < this.bodySegments.length; i++) {
+            const segment = this.bodySegments[i];
+            if (segment.health > 0 && circleCollision(bounds, segment)) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Find the living segment closest to a point, measured to its edge
+     * @param {number} x - Point X
+     * @param {number} y - Point Y
+     * @returns {Object} {index, distance}; index is -1 if nothing is alive
+     */
+    nearestSegment(x, y) {
+        let index = -1;
+        let distance = Infinity;
+
+        for (let i = 0; i < this.bodySegments.length; i++) {
+            const segment = this.bodySegments[i];
+            if (segment.health <= 0) continue;
+
+            const d = Math.max(0, Math.hypot(segment.x - x, segment.y - y) - segment.radius);
+            if (d < distance) {
+                index = i;
+                distance = d;
+            }
+        }
+        return { index, distance };
+    }
+
     /**
      * Get collision bounds
      * @returns {Object} Circle collision data
@@ -0,0 +1,68 @@
+/**
+ * SNAKE KILLER - Lifetime Unlocks
+ * Remembers in localStorage every locked weapon (see the unlock field in
+ * WEAPONS) the player has ever freed, by level or with points, and whether
+ * new runs should start with those weapons already unlocked.
+ */
+
+const UNLOCKS_CONFIG = {
+    storageKeys: {
+        weapons: 'snakeKiller_unlockedWeapons',
+        loadout: 'snakeKiller_startingLoadout'
+    }
+};
+
+/**
+ * WeaponUnlocks class
+ * Loads and saves the lifetime unlocks and the starting-loadout option
+ */
+class WeaponUnlocks {
+    constructor() {
+        this.weapons = this.load();
+        this.useLoadout = localStorage.getItem(UNLOCKS_CONFIG.storageKeys.loadout) === 'true';
+    }
+
+    /**
+     * Read the saved weapon IDs
+     * @returns {Array} Weapon IDs still in WEAPONS, or an empty list if missing or corrupt
+     */
+    load() {
+        try {
+            const list = JSON.parse(localStorage.getItem(UNLOCKS_CONFIG.storageKeys.weapons));
+            if (!Array.isArray(list)) return [];
+            return list.filter(id => Object.values(WEAPONS).some(w => w.id === id && w.unlock));
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Remember a weapon unlocked during a run
+     * @param {string} id - Weapon ID
+     * @returns {boolean} True if it was never unlocked before
+     */
+    add(id) {
+        if (this.weapons.includes(id)) return false;
+
+        this.weapons.push(id);
+        localStorage.setItem(UNLOCKS_CONFIG.storageKeys.weapons, JSON.stringify(this.weapons));
+        return true;
+    }
+
+    /**
+     * Turn the starting loadout on or off
+     * @param {boolean} enabled - True to start runs with the lifetime unlocks
+     */
+    setUseLoadout(enabled) {
+        this.useLoadout = enabled;
+        localStorage.setItem(UNLOCKS_CONFIG.storageKeys.loadout, String(enabled));
+    }
+
+    /**
+     * Weapons a new run should start with unlocked
+     * @returns {Array} Weapon IDs, empty while the option is off
+     */
+    getLoadout() {
+        return this.useLoadout ? this.weapons.slice() : [];
+    }
+}
@@ -33,6 +33,79 @@ function angleBetween(x1, y1, x2, y2) {
     return Math.atan2(y2 - y1, x2 - x1);
 }
 
+// ============================================
+// SEEDED RANDOM
+// ============================================
+
+/**
+ * SeededRandom class
+ * Small seedable PRNG (mulberry32). All gameplay randomness goes through
+ * the shared `rng`, so a run can be reproduced from its seed.
+ */
+class SeededRandom {
+    /**
+     * Create a generator
+     * @param {number} seed - 32-bit unsigned seed
+     */
+    constructor(seed) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restart the sequence from a seed
+     * @param {number} seed - 32-bit unsigned seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next number in the sequence
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+// Shared gameplay generator - reseeded by Game.start
+const rng = new SeededRandom(createRandomSeed());
+
+/**
+ * Make a fresh seed for a run that wasn't given one
+ * @returns {number} 32-bit unsigned seed
+ */
+function createRandomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Turn player-entered text into a seed
+ * Numbers are used as-is, any other text is hashed (FNV-1a)
+ * @param {string} text - Seed text
+ * @returns {number|null} 32-bit unsigned seed, or null if empty
+ */
+function parseSeed(text) {
+    const trimmed = String(text).trim();
+    if (trimmed === '') return null;
+
+    if (/^\d+$/.test(trimmed)) {
+        return Number(trimmed) >>> 0;
+    }
+
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < trimmed.length; i++) {
+        hash ^= trimmed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
 /**
  * Generate random number between min and max (inclusive)
  * @param {number} min - Minimum value
@@ -40,7 +113,7 @@ function angleBetween(x1, y1, x2, y2) {
  * @returns {number} Random number
  */
 function randomRange(min, max) {
-    return Math.random() * (max - min) + min;
+    return rng.next() * (max - min) + min;
 }
 
 /**
@@ -113,6 +186,158 @@ function pointInCircle(px, py, circle) {
     return distance(px, py, circle.x, circle.y) < circle.radius;
 }
 
+/**
+ * Check if a circle touches a line segment (e.g. a beam)
+ * @param {Object} circle - Circle {x, y, radius}
+ * @param {number} x1 - Segment start X
+ * @param {number} y1 - Segment start Y
+ * @param {number} x2 - Segment end X
+ * @param {number} y2 - Segment end Y
+ * @param {number} thickness - Segment width
+ * @returns {boolean} True if touching
+ */
+function circleSegmentCollision(circle, x1, y1, x2, y2, thickness = 0) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSq = dx * dx + dy * dy;
+
+    // Closest point on the segment to the circle's center
+    const t = lengthSq === 0 ? 0 :
+        clamp(((circle.x - x1) * dx + (circle.y - y1) * dy) / lengthSq, 0, 1);
+    return distance(circle.x, circle.y, x1 + dx * t, y1 + dy * t) < circle.radius + thickness / 2;
+}
+
+// ============================================
+// SPATIAL HASH
+// ============================================
+
+/**
+ * Uniform-grid spatial hash for broadphase collision checks.
+ * Entities are registered into named layers every frame, then queries
+ * return only the entities in grid cells near a circle.
+ */
+class SpatialHash {
+    /**
+     * @param {number} cellSize - Grid cell size in pixels
+     */
+    constructor(cellSize = 64) {
+        this.cellSize = cellSize;
+        this.layers = new Map();  // layer -> { cells: Map<key, entry[]>, entries: Map<item, entry> }
+        this.queryStamp = 0;
+    }
+
+    /**
+     * Remove everything from every layer
+     */
+    clear() {
+        this.layers.forEach(layer => {
+            layer.cells.clear();
+            layer.entries.clear();
+        });
+    }
+
+    /**
+     * Numeric key for a grid cell (supports negative cells off-screen)
+     * @param {number} cx - Cell column
+     * @param {number} cy - Cell row
+     * @returns {number} Cell key
+     */
+    cellKey(cx, cy) {
+        return (cx + 32768) * 65536 + (cy + 32768);
+    }
+
+    /**
+     * Get or create a layer
+     * @param {string} name - Layer name
+     * @returns {Object} Layer data
+     */
+    getLayer(name) {
+        let layer = this.layers.get(name);
+        if (!layer) {
+            layer = { cells: new Map(), entries: new Map() };
+            this.layers.set(name, layer);
+        }
+        return layer;
+    }
+
+    /**
+     * Register a circle for an item. An item may be inserted several times
+     * (e.g. once per body segment) and is still returned once per query.
+     * @param {string} layerName - Layer to insert into
+     * @param {*} item - Entity to return from queries
+     * @param {Object} bounds - Circle {x, y, radius}
+     * @param {number} order - Sort key; queries return items in this order
+     */
+    insert(layerName, item, bounds, order = 0) {
+        const layer = this.getLayer(layerName);
+
+        let entry = layer.entries.get(item);
+        if (!entry) {
+            entry = { item, order, stamp: 0 };
+            layer.entries.set(item, entry);
+        }
+
+        const minX = Math.floor((bounds.x - bounds.radius) / this.cellSize);
+        const maxX = Math.floor((bounds.x + bounds.radius) / this.cellSize);
+        const minY = Math.floor((bounds.y - bounds.radius) / this.cellSize);
+        const maxY = Math.floor((bounds.y + bounds.radius) / this.cellSize);
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const key = this.cellKey(cx, cy);
+                let bucket = layer.cells.get(key);
+                if (!bucket) {
+                    bucket = [];
+                    layer.cells.set(key, bucket);
+                }
+                if (bucket[bucket.length - 1] !== entry) {
+                    bucket.push(entry);
+                }
+            }
+        }
+    }
+
+    /**
+     * Find items whose cells overlap a circle
+     * Results are candidates only - callers still do the exact test
+     * @param {string} layerName - Layer to search
+     * @param {Object} bounds - Circle {x, y, radius}
+     * @returns {Array} Unique items, sorted by insert order
+     */
+    query(layerName, bounds) {
+        const layer = this.layers.get(layerName);
+        if (!layer) return [];
+
+        const stamp = ++this.queryStamp;
+        const found = [];
+
+        const minX = Math.floor((bounds.x - bounds.radius) / this.cellSize);
+        const maxX = Math.floor((bounds.x + bounds.radius) / this.cellSize);
+        const minY = Math.floor((bounds.y - bounds.radius) / this.cellSize);
+        const maxY = Math.floor((bounds.y + bounds.radius) / this.cellSize);
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const bucket = layer.cells.get(this.cellKey(cx, cy));
+                if (!bucket) continue;
+
+                for (let i = 0; i < bucket.length; i++) {
+                    const entry = bucket[i];
+                    if (entry.stamp !== stamp) {
+                        entry.stamp = stamp;
+                        found.push(entry);
+                    }
+                }
+            }
+        }
+
+        if (found.length > 1) {
+            found.sort((a, b) => a.order - b.order);
+        }
+        return found.map(entry => entry.item);
+    }
+}
+
 // ============================================
 // VISUAL UTILITIES
 // ============================================
@@ -169,6 +394,10 @@ const GAME_CONSTANTS = {
     // Canvas
     CANVAS_WIDTH: 1200,
     CANVAS_HEIGHT: 800,
+
+    // Simulation
+    FIXED_TIMESTEP: 1 / 60,     // Seconds per simulation step
+    MAX_FRAME_TIME: 0.25,       // Longest frame fed to the simulation (s)
     
     // Player
     PLAYER_RADIUS: 20,
@@ -188,6 +417,12 @@ const GAME_CONSTANTS = {
     SNAKE_BASE_XP: 10,
     SNAKE_SPAWN_RATE: 1500, // ms
     SNAKE_MIN_SPAWN_RATE: 400, // ms (fastest spawn rate)
+    SNAKE_SEGMENT_HEALTH: false, // Body segments also have their own HP and can be shot off
+    SNAKE_SEGMENT_HEALTH_RATIO: 0.3, // Segment HP as a fraction of snake max health
+    SNAKE_KNOCKBACK_FADE: 6,    // How fast blast knockback dies away (per s)
+
+    // Collision
+    SPATIAL_HASH_CELL_SIZE: 64, // px
     
     // Colors
     COLORS: {
@@ -0,0 +1,226 @@
+/**
+ * SNAKE KILLER - Wave Director
+ * Runs named spawn waves (groups, edges, pacing, rest breaks)
+ * on top of the leveling system's difficulty curve
+ */
+
+// Spawn edge indices (match Snake.spawnAtEdge)
+const SPAWN_EDGES = {
+    top: 0,
+    right: 1,
+    bottom: 2,
+    left: 3
+};
+
+// Wave patterns - played in order and cycled, scaled by difficulty
+// Each group spawns `count` snakes from its `edges`, `interval` seconds apart.
+// An optional `type` (SNAKE_ARCHETYPES id) forces the archetype once the
+// level reaches its minLevel; otherwise one is picked for the current level.
+const WAVE_PATTERNS = [
+    {
+        name: 'Scouting Party',
+        groups: [
+            { count: 3, edges: ['top'], interval: 0.8 },
+            { count: 3, edges: ['bottom'], interval: 0.8 }
+        ],
+        groupDelay: 2,      // Seconds between groups
+        rest: 3             // Seconds of rest after the wave is cleared
+    },
+    {
+        name: 'Pincer',
+        groups: [
+            { count: 4, edges: ['left'], interval: 0.5 },
+            { count: 4, edges: ['right'], interval: 0.5 }
+        ],
+        groupDelay: 0.5,
+        rest: 4
+    },
+    {
+        name: 'Rain From Above',
+        groups: [
+            { count: 8, edges: ['top'], interval: 0.35 },
+            { count: 4, edges: ['left', 'right'], interval: 0.6 }
+        ],
+        groupDelay: 2.5,
+        rest: 4
+    },
+    {
+        name: 'Surrounded',
+        groups: [
+            { count: 4, edges: ['top', 'right', 'bottom', 'left'], interval: 0.25 },
+            { count: 6, edges: ['top', 'right', 'bottom', 'left'], interval: 0.4 },
+            { count: 4, edges: ['top', 'right', 'bottom', 'left'], interval: 0.25 }
+        ],
+        groupDelay: 3,
+        rest: 5
+    },
+    {
+        name: 'Stampede',
+        groups: [
+            { count: 14, edges: ['left', 'right'], interval: 0.2, type: 'viper' }
+        ],
+        groupDelay: 0,
+        rest: 6
+    }
+];
+
+/**
+ * WaveDirector class
+ * Decides when and where snakes spawn. The game asks it for spawns every
+ * frame and creates the snakes itself.
+ */
+class WaveDirector {
+    constructor() {
+        this.patterns = WAVE_PATTERNS;
+        this.initialDelay = 1.5;  // Seconds before the first wave
+
+        // Callbacks
+        this.onWaveStart = null;
+        this.onWaveComplete = null;
+
+        this.reset();
+    }
+
+    /**
+     * Reset to before the first wave
+     */
+    reset() {
+        this.wave = 0;
+        this.pattern = null;
+
+        // States: 'rest', 'spawning', 'clearing'
+        this.state = 'rest';
+        this.timer = this.initialDelay;
+
+        this.groupIndex = 0;
+        this.spawnedInGroup = 0;
+        this.groupCount = 0;
+    }
+
+    /**
+     * Get the pattern for a wave number (patterns cycle)
+     * @param {number} wave - Wave number (1-based)
+     * @returns {Object} Wave pattern
+     */
+    getPattern(wave) {
+        return this.patterns[(wave - 1) % this.patterns.length];
+    }
+
+    /**
+     * Number of snakes a group spawns for the current wave and difficulty
+     * @param {Object} group - Group definition
+     * @param {Object} difficulty - Difficulty info from LevelingSystem
+     * @returns {number} Snake count
+     */
+    getGroupCount(group, difficulty) {
+        // Every full cycle through the patterns adds another 50%
+        const cycle = Math.floor((this.wave - 1) / this.patterns.length);
+        return Math.round(group.count * difficulty.waveSizeMultiplier * (1 + cycle * 0.5));
+    }
+
+    /**
+     * Scale a pattern delay by the level's spawn rate
+     * @param {number} seconds - Delay from the pattern
+     * @param {Object} difficulty - Difficulty info from LevelingSystem
+     * @returns {number} Scaled delay in seconds
+     */
+    scaleDelay(seconds, difficulty) {
+        return seconds * (difficulty.spawnRate / GAME_CONSTANTS.SNAKE_SPAWN_RATE);
+    }
+
+    /**
+     * Begin the next wave
+     * @param {Object} difficulty - Difficulty info from LevelingSystem
+     */
+    startWave(difficulty) {
+        this.wave++;
+        this.pattern = this.getPattern(this.wave);
+        this.state = 'spawning';
+        this.timer = 0;
+        this.startGroup(0, difficulty);
+
+        if (this.onWaveStart) {
+            this.onWaveStart(this.wave, this.pattern.name);
+        }
+    }
+
+    /**
+     * Begin a group within the current wave
+     * @param {number} index - Group index
+     * @param {Object} difficulty - Difficulty info from LevelingSystem
+     */
+    startGroup(index, difficulty) {
+        this.groupIndex = index;
+        this.spawnedInGroup = 0;
+        this.groupCount = this.getGroupCount(this.pattern.groups[index], difficulty);
+    }
+
+    /**
+     * Advance the director
+     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {number} snakeCount - Snakes currently alive
+     * @param {Object} difficulty - Difficulty info from LevelingSystem
+     * @returns {Array} Spawn requests ({edge, type}) for this frame
+     */
+    update(deltaTime, snakeCount, difficulty) {
+        const spawns = [];
+
+        switch (this.state) {
+            case 'rest':
+                this.timer -= deltaTime;
+                if (this.timer <= 0) {
+                    this.startWave(difficulty);
+                }
+                break;
+
+            case 'spawning':
+                this.timer -= deltaTime;
+
+                // Hold the group while the field is full
+                while (this.timer <= 0 && snakeCount + spawns.length < difficulty.maxSnakes) {
+                    const group = this.pattern.groups[this.groupIndex];
+                    const edgeName = group.edges[randomInt(0, group.edges.length - 1)];
+                    spawns.push({ edge: SPAWN_EDGES[edgeName], type: group.type || null });
+                    this.spawnedInGroup++;
+
+                    if (this.spawnedInGroup < this.groupCount) {
+                        this.timer += this.scaleDelay(group.interval, difficulty);
+                    } else if (this.groupIndex + 1 < this.pattern.groups.length) {
+                        this.startGroup(this.groupIndex + 1, difficulty);
+                        this.timer += this.scaleDelay(this.pattern.groupDelay, difficulty);
+                    } else {
+                        this.state = 'clearing';
+                        break;
+                    }
+                }
+
+                // Don't bank spawns while held, or they burst out together
+                if (this.state === 'spawning' && this.timer < 0) {
+                    this.timer = 0;
+                }
+                break;
+
+            case 'clearing':
+                // Wave ends once every snake from it is dead
+                if (snakeCount === 0) {
+                    this.state = 'rest';
+                    this.timer = this.pattern.rest;
+
+                    if (this.onWaveComplete) {
+                        this.onWaveComplete(this.wave);
+                    }
+                }
+                break;
+        }
+
+        return spawns;
+    }
+
+    /**
+     * Check if the director is between waves
+     * @returns {boolean} True during a rest break
+     */
+    isResting() {
+        return this.state === 'rest';
+    }
+}
@@ -1,5 +1,25 @@
 /**
  * SNAKE KILLER - Weapon Configuration
+ * Ammo is optional: a weapon with a magazine size fires that many shots, then
+ * reloads from its reserve (reloadTime seconds). reserve is both the starting
+ * and the most spare ammo carried; Infinity never runs out.
+ *
+ * An explosive weapon's shells blow up on impact or at their range, hurting
+ * every snake in the radius (full damage at the center, edgeDamage of it at
+ * the rim) and pushing them away.
+ *
+ * Other optional behaviour flags:
+ *   pierce   - extra snakes each bullet passes through
+ *   homing   - turn rate (rad/s) bullets steer toward the nearest snake with
+ *   ricochet - bounces off the arena edges before the bullet leaves
+ *   beam     - {length, width}: a continuous ray instead of bullets. damage is
+ *              per second to everything along it; fireRate is how often a
+ *              round of ammo is drawn while it's on
+ *   unlock   - {level, cost}: locked at the start of a run until the player
+ *              reaches level, or buys it sooner for cost points. Weapons
+ *              without one are always available
+ *
+ * Order here is the toolbar order and the 1-9 hotkeys.
  */
 
 const WEAPONS = {
@@ -14,7 +34,10 @@ const WEAPONS = {
         bulletSize: 1.0,    // Standard size (6px)
         bulletColor: '#FFFF00',
         count: 1,
-        spread: 0
+        spread: 0,
+        magazine: 12,
+        reserve: Infinity,
+        reloadTime: 1.0
     },
     RAPID: {
         id: 'rapid',
@@ -27,7 +50,11 @@ const WEAPONS = {
         bulletSize: 0.6,    // Small (3.6px)
         bulletColor: '#00FFFF',
         count: 1,
-        spread: 0.1
+        spread: 0.1,
+        magazine: 30,
+        reserve: 150,
+        reloadTime: 1.6,
+        unlock: { level: 2, cost: 10 }
     },
     SHOTGUN: {
         id: 'shotgun',
@@ -40,7 +67,11 @@ const WEAPONS = {
         bulletSize: 0.7,    // Medium-Small pellets (4.2px)
         bulletColor: '#FF6600',
         count: 5,           // Increased count for better spread feel
-        spread: 0.4
+        spread: 0.4,
+        magazine: 6,        // Shells - one per blast
+        reserve: 30,
+        reloadTime: 2.0,
+        unlock: { level: 3, cost: 15 }
     },
     TANK: {
         id: 'tank',
@@ -53,6 +84,75 @@ const WEAPONS = {
         bulletSize: 4.0,    // Large (24px)
         bulletColor: '#FF0000',
         count: 1,
-        spread: 0
+        spread: 0,
+        magazine: 3,
+        reserve: 12,
+        reloadTime: 2.5,
+        unlock: { level: 5, cost: 25 },
+        explosive: {
+            radius: 110,        // Blast radius (px)
+            edgeDamage: 0.3,    // Fraction of damage at the rim
+            knockback: 420,     // Push speed (px/s) at the center
+            range: 650,         // Shells burst after flying this far
+            ringTime: 0.45      // Blast ring animation (s)
+        }
+    },
+    RAILGUN: {
+        id: 'railgun',
+        name: 'Railgun',
+        icon: '⚔️',
+        description: 'Pierces & Ricochets',
+        damage: 80,
+        fireRate: 1.1,
+        bulletSpeed: 1400,
+        bulletSize: 0.8,
+        bulletColor: '#B388FF',
+        count: 1,
+        spread: 0,
+        magazine: 4,
+        reserve: 20,
+        reloadTime: 2.2,
+        unlock: { level: 7, cost: 30 },
+        pierce: 5,
+        ricochet: 2
+    },
+    SEEKER: {
+        id: 'seeker',
+        name: 'Seeker',
+        icon: '🚀',
+        description: 'Homing Rockets',
+        damage: 35,
+        fireRate: 0.6,
+        bulletSpeed: 380,
+        bulletSize: 1.3,
+        bulletColor: '#FF44AA',
+        count: 2,
+        spread: 0.8,
+        magazine: 6,        // Salvos
+        reserve: 36,
+        reloadTime: 1.8,
+        unlock: { level: 9, cost: 35 },
+        homing: 4.5
+    },
+    LASER: {
+        id: 'laser',
+        name: 'Laser',
+        icon: '🔦',
+        description: 'Continuous Beam',
+        damage: 90,         // Per second along the beam
+        fireRate: 0.1,
+        bulletSpeed: 0,
+        bulletSize: 0,
+        bulletColor: '#FF2244',
+        count: 1,
+        spread: 0,
+        magazine: 40,       // Tenths of a second of beam
+        reserve: 160,
+        reloadTime: 2.0,
+        unlock: { level: 11, cost: 40 },
+        beam: {
+            length: 520,
+            width: 8
+        }
     }
 };